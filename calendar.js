@@ -0,0 +1,183 @@
+/**
+ * VIFM Portal - Calendar
+ * Turns opportunity dates into calendar events for the in-app calendar
+ * (GET /api/calendar/events) and the iCalendar feed users subscribe to in Outlook or
+ * Google Calendar (GET /api/calendar/feed/:token.ics).
+ *
+ * Events, all of them all-day:
+ *   course   course_date of a consultant opportunity
+ *   close    expected_close_date of an open BD opportunity (stages in the 'open' state)
+ *   task     due_date of an open task
+ */
+
+const { DEFAULT_PIPELINE_STAGES, findStage } = require('./pipeline-stages');
+
+const CALENDAR_EVENT_TYPES = {
+  course: 'Course',
+  close: 'Expected close',
+  task: 'Task'
+};
+const ICAL_PRODUCT_ID = '-//VIFM//Business Development Portal//EN';
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})/;
+
+// ==================================================
+// EVENTS
+// ==================================================
+
+function toDateOnly(value) {
+  const match = value ? String(value).match(DATE_ONLY) : null;
+  return match ? match[0] : null;
+}
+
+function joinLines(lines) {
+  return lines.filter(Boolean).join('\n');
+}
+
+// Calendar events from opportunity, BD opportunity and task rows, in date order.
+// Each event: { uid, type, date (YYYY-MM-DD), title, description, link }
+function buildCalendarEvents({ opportunities = [], bdOpportunities = [], tasks = [] }, { stages = DEFAULT_PIPELINE_STAGES } = {}) {
+  const events = [];
+
+  opportunities.forEach(opp => {
+    const date = toDateOnly(opp.course_date);
+    if (!date) return;
+    events.push({
+      uid: `opportunity-${opp.id}`,
+      type: 'course',
+      date,
+      title: `Course: ${opp.course_title || 'Training'} - ${opp.client_company || 'Unknown client'}`,
+      description: joinLines([
+        opp.consultant_name && `Consultant: ${opp.consultant_name}`,
+        opp.delegate_name && `Delegate: ${opp.delegate_name}`,
+        opp.city && `City: ${opp.city}`,
+        opp.status && `Status: ${opp.status}`
+      ]),
+      link: 'phase1.html'
+    });
+  });
+
+  bdOpportunities.forEach(opp => {
+    const date = toDateOnly(opp.expected_close_date);
+    const stage = findStage(stages, opp.pipeline_stage);
+    if (!date || (stage && stage.state !== 'open')) return;
+    events.push({
+      uid: `bd-opportunity-${opp.id}`,
+      type: 'close',
+      date,
+      title: `Close: ${opp.course_title || 'Deal'} - ${opp.client || 'Unknown client'}`,
+      description: joinLines([
+        `Stage: ${stage ? stage.name : opp.pipeline_stage || '-'}`,
+        opp.estimated_budget && `Budget: AED ${Number(opp.estimated_budget).toLocaleString('en-US')}`,
+        opp.probability !== null && opp.probability !== undefined && `Probability: ${opp.probability}%`,
+        opp.bd_prof && `BD professional: ${opp.bd_prof}`,
+        opp.next_actions && `Next actions: ${opp.next_actions}`
+      ]),
+      link: 'bd-module.html'
+    });
+  });
+
+  tasks.forEach(task => {
+    const date = toDateOnly(task.due_date);
+    if (!date || task.status !== 'open') return;
+    events.push({
+      uid: `task-${task.id}`,
+      type: 'task',
+      date,
+      title: `Task: ${task.title}`,
+      description: joinLines([
+        task.entity_label && `Opportunity: ${task.entity_label}`,
+        task.notes
+      ]),
+      link: task.entity_type === 'bd_opportunities' ? 'bd-module.html' : 'phase1.html'
+    });
+  });
+
+  return events.sort((a, b) => a.date.localeCompare(b.date) || a.type.localeCompare(b.type));
+}
+
+// ==================================================
+// ICALENDAR (RFC 5545)
+// ==================================================
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// '2025-03-14' -> '20250314'
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+// The day after a YYYY-MM-DD date, for the exclusive end of all-day events
+function nextDay(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().slice(0, 10);
+}
+
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// The events as an iCalendar document. baseUrl links each event to its portal page.
+function toICalendar(events, { name = 'VIFM Portal', baseUrl = '', now = new Date() } = {}) {
+  const stamp = formatTimestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICAL_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}@vifm-portal`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+      `DTEND;VALUE=DATE:${formatDate(nextDay(event.date))}`,
+      `SUMMARY:${escapeText(event.title)}`,
+      `CATEGORIES:${escapeText(CALENDAR_EVENT_TYPES[event.type])}`,
+      'TRANSP:TRANSPARENT'
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (baseUrl && event.link) lines.push(`URL:${baseUrl}/${event.link}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  CALENDAR_EVENT_TYPES,
+  buildCalendarEvents,
+  toICalendar
+};
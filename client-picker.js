@@ -0,0 +1,221 @@
+/**
+ * VIFM Client Picker
+ * Links the client and contact fields of an opportunity form to the clients and
+ * contacts tables. The client input suggests existing clients as you type and the
+ * contact input suggests that client's contacts; picking a contact fills in its title,
+ * email and phone. On save, resolve() returns the client and contact to link, adding a
+ * client or contact that does not exist yet. Saved offline, new names are kept as text
+ * only and linked the next time the opportunity is saved online.
+ *
+ * Requires supabase.js (VIFMSupabase.Catalogs). One picker per page.
+ */
+
+window.VIFMClientPicker = {
+    fields: null, // element ids: client, contact, title, email, phone, city, hint
+    clientId: null,
+    contactId: null,
+
+    // Connect the form inputs and load the clients and contacts
+    async attach(fields) {
+        this.fields = fields;
+
+        [['client', 'clientPickerOptions'], ['contact', 'contactPickerOptions']].forEach(([field, listId]) => {
+            const input = this.input(field);
+            const list = document.createElement('datalist');
+            list.id = listId;
+            input.setAttribute('list', listId);
+            input.setAttribute('autocomplete', 'off');
+            input.insertAdjacentElement('afterend', list);
+        });
+
+        this.input('client').addEventListener('input', () => this.handleClientInput());
+        this.input('contact').addEventListener('input', () => this.handleContactInput(true));
+
+        await this.load();
+    },
+
+    async load() {
+        await Promise.all([
+            window.VIFMSupabase.Catalogs.load('clients'),
+            window.VIFMSupabase.Catalogs.load('contacts')
+        ]);
+        this.renderClientOptions();
+        this.handleClientInput();
+    },
+
+    input(field) {
+        return this.fields[field] ? document.getElementById(this.fields[field]) : null;
+    },
+
+    value(field) {
+        return (this.input(field)?.value || '').trim();
+    },
+
+    getClient() {
+        return this.clientId ? window.VIFMSupabase.Catalogs.get('clients', this.clientId) : null;
+    },
+
+    getContacts(clientId) {
+        return window.VIFMSupabase.Catalogs.all('contacts').filter(contact => contact.client_id === clientId);
+    },
+
+    findContact(clientId, name) {
+        const wanted = (name || '').trim().toLowerCase();
+        return this.getContacts(clientId).find(contact => contact.name.toLowerCase() === wanted) || null;
+    },
+
+    renderClientOptions() {
+        document.getElementById('clientPickerOptions').innerHTML = window.VIFMSupabase.Catalogs.all('clients')
+            .map(client => `<option value="${this.escape(client.name)}">${this.escape(client.city || '')}</option>`)
+            .join('');
+    },
+
+    renderContactOptions() {
+        document.getElementById('contactPickerOptions').innerHTML = this.getContacts(this.clientId)
+            .map(contact => `<option value="${this.escape(contact.name)}">${this.escape(contact.title || '')}</option>`)
+            .join('');
+    },
+
+    // ==================================================
+    // FORM EVENTS
+    // ==================================================
+
+    handleClientInput() {
+        const client = window.VIFMSupabase.Catalogs.findByName('clients', this.value('client'));
+        this.clientId = client?.id || null;
+
+        const city = this.input('city');
+        if (client?.city && city && !city.value.trim()) {
+            city.value = client.city;
+        }
+
+        this.renderContactOptions();
+        this.handleContactInput(false);
+    },
+
+    // fill: copy a picked contact's details into the form
+    handleContactInput(fill) {
+        const contact = this.clientId ? this.findContact(this.clientId, this.value('contact')) : null;
+        const picked = contact && contact.id !== this.contactId;
+        this.contactId = contact?.id || null;
+
+        if (picked && fill) {
+            ['title', 'email', 'phone'].forEach(field => {
+                if (this.input(field)) this.input(field).value = contact[field] || '';
+            });
+        }
+        this.updateHint();
+    },
+
+    updateHint() {
+        const hint = this.input('hint');
+        if (!hint) return;
+
+        const client = this.getClient();
+        if (!this.value('client')) {
+            hint.innerHTML = '';
+        } else if (client) {
+            const contactNote = this.value('contact') && !this.contactId ? ' · new contact will be added' : '';
+            hint.innerHTML = `✓ Existing client · <a href="client.html?id=${encodeURIComponent(client.id)}" target="_blank">view</a>${contactNote}`;
+        } else {
+            hint.innerHTML = '➕ New client - will be added when saved';
+        }
+    },
+
+    // Show a stored opportunity: its linked ids win over matching by name
+    select(clientId, contactId) {
+        this.handleClientInput();
+        if (clientId && window.VIFMSupabase.Catalogs.get('clients', clientId)) {
+            this.clientId = clientId;
+            this.renderContactOptions();
+        }
+        this.contactId = contactId && window.VIFMSupabase.Catalogs.get('contacts', contactId) ? contactId : this.contactId;
+        this.updateHint();
+    },
+
+    reset() {
+        this.clientId = null;
+        this.contactId = null;
+        this.renderContactOptions();
+        this.updateHint();
+    },
+
+    // ==================================================
+    // SAVE
+    // ==================================================
+
+    // The client and contact to link for the form's current values:
+    // { client_id, client_name, contact_id, contact_name }. New clients and contacts are
+    // added when create is true; otherwise (offline) they are left unlinked. A linked
+    // contact's title, email and phone are updated from the form for users with
+    // clients.manage; others keep them on the opportunity only.
+    async resolve({ create = true } = {}) {
+        const catalogs = window.VIFMSupabase.Catalogs;
+        const name = this.value('client');
+        const contactName = this.value('contact');
+        const result = { client_id: null, client_name: name, contact_id: null, contact_name: contactName };
+        if (!name) return result;
+
+        try {
+            let client = this.getClient() || catalogs.findByName('clients', name);
+            if (!client && create) {
+                client = await this.addOrFind('clients', { name, city: this.value('city') || null },
+                    () => catalogs.findByName('clients', name));
+            }
+            if (!client) return result;
+
+            result.client_id = client.id;
+            result.client_name = client.name;
+            if (!contactName) return result;
+
+            const details = {
+                title: this.value('title') || null,
+                email: this.value('email') || null,
+                phone: this.value('phone') || null
+            };
+            let contact = this.findContact(client.id, contactName);
+            const canEditContacts = window.VIFMSupabase.Permissions.has('clients.manage');
+            if (contact && create && canEditContacts && ['title', 'email', 'phone'].some(field => details[field] && details[field] !== contact[field])) {
+                contact = await catalogs.update('contacts', contact.id, details);
+            } else if (!contact && create) {
+                contact = await this.addOrFind('contacts', { client_id: client.id, name: contactName, ...details },
+                    () => this.findContact(client.id, contactName));
+            }
+
+            if (contact) {
+                result.contact_id = contact.id;
+                result.contact_name = contact.name;
+            }
+        } catch (error) {
+            if (!window.VIFMOffline?.isNetworkError(error)) throw error;
+            console.warn('⚠️ Client details not linked (offline):', error.message);
+        }
+
+        this.renderClientOptions();
+        this.clientId = result.client_id;
+        this.contactId = result.contact_id;
+        this.renderContactOptions();
+        this.updateHint();
+        return result;
+    },
+
+    // Add a client or contact; if someone else added the same name meanwhile, reload and use theirs
+    async addOrFind(table, data, find) {
+        try {
+            return await window.VIFMSupabase.Catalogs.add(table, data);
+        } catch (error) {
+            if (error.code !== '23505') throw error;
+            await window.VIFMSupabase.Catalogs.load(table);
+            return find();
+        }
+    },
+
+    // Escape for element content and attribute values
+    escape(text) {
+        return (text || '').toString()
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
@@ -0,0 +1,43 @@
+/**
+ * VIFM Portal - Consultant to BD Conversion
+ * A consultant opportunity becomes a BD opportunity when the BD team takes it on
+ * (POST /api/opportunities/:id/convert). CONVERSION_FIELDS maps each consultant
+ * opportunity column to the BD opportunity column it fills in; the BD form fills its
+ * fields the same way (Conversion in supabase.js).
+ *
+ * The BD opportunity links back through source_opportunity_id. A trigger on
+ * bd_opportunities (sync_conversion_status in database_schema.sql) marks the source as
+ * converted and copies the BD stage onto it, so consultants can follow their lead.
+ */
+
+const CONVERSION_FIELDS = {
+  course_title: 'course_title',
+  client_company: 'client',
+  client_id: 'client_id',
+  contact_id: 'contact_id',
+  city: 'city',
+  consultant_name: 'consultant_name',
+  delegate_name: 'primary_contact',
+  delegate_title: 'contact_title',
+  delegate_email: 'contact_email',
+  phone_number: 'contact_phone',
+  discussion_notes: 'bd_notes',
+  bd_action: 'next_actions'
+};
+
+// The BD opportunity fields taken from a consultant opportunity (blank values are left out)
+function toBDOpportunity(source) {
+  const bdOpportunity = { source_opportunity_id: source.id };
+  Object.entries(CONVERSION_FIELDS).forEach(([from, to]) => {
+    const value = source[from];
+    if (value !== undefined && value !== null && value !== '') {
+      bdOpportunity[to] = value;
+    }
+  });
+  return bdOpportunity;
+}
+
+module.exports = {
+  CONVERSION_FIELDS,
+  toBDOpportunity
+};
@@ -43,7 +43,7 @@ CREATE TABLE IF NOT EXISTS bd_opportunities (
     contact_email TEXT,
     contact_phone TEXT,
     estimated_budget DECIMAL(12,2),
-    pipeline_stage TEXT DEFAULT 'qualified', -- qualified, proposal, negotiation, closed-won, closed-lost
+    pipeline_stage TEXT DEFAULT 'qualified', -- a pipeline_stages.key (see below)
     probability INTEGER DEFAULT 25, -- 0-100
     expected_close_date DATE,
     competitors TEXT,
@@ -84,4 +84,1244 @@ CREATE TRIGGER update_opportunities_updated_at BEFORE UPDATE ON opportunities
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_bd_opportunities_updated_at BEFORE UPDATE ON bd_opportunities
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Notification routing rules: decide who is emailed for an activity.
+-- A NULL criterion matches anything; when no rule matches, the server falls back
+-- to NOTIFICATION_DEFAULT_RECIPIENTS.
+CREATE TABLE IF NOT EXISTS notification_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    module TEXT, -- opportunities, bd_opportunities
+    pipeline_stage TEXT,
+    client TEXT,
+    consultant_name TEXT,
+    recipient_email TEXT NOT NULL,
+    active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES profiles(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-user opt-out from activity notification emails
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS notifications_opt_out BOOLEAN DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_notification_rules_active ON notification_rules(active);
+
+CREATE TRIGGER update_notification_rules_updated_at BEFORE UPDATE ON notification_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+
+-- Notification outbox: every activity email is recorded here and delivered by the
+-- server worker with exponential backoff retries.
+CREATE TABLE IF NOT EXISTS notification_outbox (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source TEXT, -- notify-activity, webhook
+    recipients TEXT[] NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued', -- queued, sent, failed, gave_up
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 6,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID, -- auth user who triggered the notification
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox(status, next_attempt_at);
+
+CREATE TRIGGER update_notification_outbox_updated_at BEFORE UPDATE ON notification_outbox
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Webhook events already processed by /api/supabase-webhook (deduplicates redeliveries).
+-- Stage changes notified by the server are claimed here too (event_type STAGE_CHANGE).
+CREATE TABLE IF NOT EXISTS webhook_events (
+    event_key TEXT PRIMARY KEY, -- sender's event id, a hash of the payload, or stage-change:<move>
+    event_type TEXT, -- INSERT, UPDATE, DELETE, STAGE_CHANGE
+    table_name TEXT,
+    record_id TEXT,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_received_at ON webhook_events(received_at);
+
+-- Activity log (already present in the hosted database; created here for new installs).
+-- Audit trail of record changes (before/after diffs in details.changes, written by the
+-- record_audit trigger); the server also records pipeline stage changes, merges,
+-- conversions and reassignments here.
+CREATE TABLE IF NOT EXISTS activity_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID,
+    action TEXT NOT NULL, -- insert, update, delete, role_changed, deactivated, reactivated (record_audit trigger); stage_changed, merge, convert, reassigned (server)
+    entity_type TEXT, -- table name, e.g. bd_opportunities
+    entity_id UUID,
+    details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_activity_log_entity ON activity_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_activity_log_action_created ON activity_log(action, created_at);
+
+-- Digest subscriptions: none, daily, weekly
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS digest_frequency TEXT DEFAULT 'none';
+
+-- Digest periods already sent, so each daily/weekly digest goes out once
+CREATE TABLE IF NOT EXISTS digest_runs (
+    period_key TEXT PRIMARY KEY, -- e.g. daily:2024-06-03
+    frequency TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Realtime: stream opportunity changes to the BD pipeline view. Full replica identity
+-- includes the previous row in update and delete events.
+ALTER TABLE opportunities REPLICA IDENTITY FULL;
+ALTER TABLE bd_opportunities REPLICA IDENTITY FULL;
+-- Tables already in the publication are skipped so the migration can be re-run
+DO $$
+DECLARE
+    table_name TEXT;
+BEGIN
+    FOREACH table_name IN ARRAY ARRAY['opportunities', 'bd_opportunities'] LOOP
+        IF NOT EXISTS (
+            SELECT 1 FROM pg_publication_tables
+            WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = table_name
+        ) THEN
+            EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', table_name);
+        END IF;
+    END LOOP;
+END;
+$$;
+
+-- Pipeline stages for BD opportunities, managed by admins in User Management.
+-- key is the value stored in bd_opportunities.pipeline_stage; state says whether a
+-- stage is still open or closed as won, lost or without an outcome (closed).
+CREATE TABLE IF NOT EXISTS pipeline_stages (
+    key TEXT PRIMARY KEY CHECK (key ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+    name TEXT NOT NULL,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    color TEXT NOT NULL DEFAULT '#5391d5' CHECK (color ~ '^#[0-9a-fA-F]{6}$'),
+    default_probability INTEGER NOT NULL DEFAULT 25 CHECK (default_probability BETWEEN 0 AND 100),
+    state TEXT NOT NULL DEFAULT 'open' CHECK (state IN ('open', 'won', 'lost', 'closed')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO pipeline_stages (key, name, sort_order, color, default_probability, state) VALUES
+    ('qualified', 'Qualified', 1, '#4338ca', 25, 'open'),
+    ('proposal', 'Proposal', 2, '#d97706', 50, 'open'),
+    ('negotiation', 'Negotiation', 3, '#ea580c', 75, 'open'),
+    ('closed-won', 'Closed Won', 4, '#166534', 100, 'won'),
+    ('closed-lost', 'Closed Lost', 5, '#dc2626', 0, 'lost')
+ON CONFLICT (key) DO NOTHING;
+
+CREATE TRIGGER update_pipeline_stages_updated_at BEFORE UPDATE ON pipeline_stages
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Opportunities must use a configured stage; a stage still in use cannot be deleted
+ALTER TABLE bd_opportunities DROP CONSTRAINT IF EXISTS bd_opportunities_pipeline_stage_fkey;
+ALTER TABLE bd_opportunities ADD CONSTRAINT bd_opportunities_pipeline_stage_fkey
+    FOREIGN KEY (pipeline_stage) REFERENCES pipeline_stages(key) ON UPDATE CASCADE;
+
+-- Stage transition rules: allowed_next_stages lists the stages an opportunity may move
+-- to from this one (NULL = any), required_fields the fields that must be filled in while
+-- an opportunity is in it. Checked by the BD module and the REST API, and enforced for
+-- every write by the check_bd_stage_rules trigger below.
+ALTER TABLE pipeline_stages ADD COLUMN IF NOT EXISTS allowed_next_stages TEXT[];
+ALTER TABLE pipeline_stages ADD COLUMN IF NOT EXISTS required_fields TEXT[] NOT NULL DEFAULT '{}';
+
+-- Default rules for the original stages (only where none have been set yet)
+UPDATE pipeline_stages AS s SET allowed_next_stages = d.allowed_next_stages, required_fields = d.required_fields
+FROM (VALUES
+    ('qualified', ARRAY['proposal', 'closed-lost'], ARRAY[]::TEXT[]),
+    ('proposal', ARRAY['qualified', 'negotiation', 'closed-lost'], ARRAY['estimated_budget']),
+    ('negotiation', ARRAY['proposal', 'closed-won', 'closed-lost'], ARRAY['estimated_budget', 'expected_close_date']),
+    ('closed-won', ARRAY['negotiation'], ARRAY['estimated_budget', 'expected_close_date']),
+    ('closed-lost', ARRAY['qualified'], ARRAY['loss_reason'])
+) AS d(key, allowed_next_stages, required_fields)
+WHERE s.key = d.key AND s.allowed_next_stages IS NULL AND s.required_fields = '{}';
+
+ALTER TABLE bd_opportunities ADD COLUMN IF NOT EXISTS loss_reason TEXT;
+
+-- Enforce the stage rules on every write, whichever way it is made (BD module, board,
+-- offline sync, REST API): moves must be allowed transitions, and an opportunity entering
+-- a stage must have the stage's required fields; saves within a stage may not clear one.
+-- The rules are read from pipeline_stages, as getStageRuleErrors() in pipeline-stages.js
+-- does for the pages and the REST API, which check first and name the fields by their
+-- labels; a write that skips them is refused here with the column names.
+CREATE OR REPLACE FUNCTION check_bd_stage_rules()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    from_stage pipeline_stages%ROWTYPE;
+    to_stage pipeline_stages%ROWTYPE;
+    stage_changed BOOLEAN := TG_OP = 'INSERT' OR NEW.pipeline_stage IS DISTINCT FROM OLD.pipeline_stage;
+    new_values JSONB := to_jsonb(NEW);
+    old_values JSONB := CASE WHEN TG_OP = 'UPDATE' THEN to_jsonb(OLD) END;
+    missing TEXT[] := '{}';
+    field TEXT;
+BEGIN
+    SELECT * INTO to_stage FROM pipeline_stages WHERE key = NEW.pipeline_stage;
+    IF NOT FOUND THEN
+        RETURN NEW; -- unknown stages are refused by the foreign key
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND stage_changed THEN
+        SELECT * INTO from_stage FROM pipeline_stages WHERE key = OLD.pipeline_stage;
+        IF NOT FOUND THEN
+            RETURN NEW; -- the stage's key was renamed (ON UPDATE CASCADE), not a move
+        END IF;
+        IF from_stage.allowed_next_stages IS NOT NULL
+           AND NOT (to_stage.key = ANY (from_stage.allowed_next_stages)) THEN
+            RAISE EXCEPTION 'Cannot move from % to % (allowed: %)', from_stage.name, to_stage.name,
+                COALESCE((SELECT string_agg(s.name, ', ' ORDER BY s.sort_order)
+                          FROM pipeline_stages s WHERE s.key = ANY (from_stage.allowed_next_stages)), 'none')
+                USING ERRCODE = '23514';
+        END IF;
+    END IF;
+
+    FOREACH field IN ARRAY to_stage.required_fields LOOP
+        IF (stage_changed OR new_values -> field IS DISTINCT FROM old_values -> field)
+           AND COALESCE(trim(new_values ->> field), '') = '' THEN
+            missing := missing || field;
+        END IF;
+    END LOOP;
+
+    IF array_length(missing, 1) > 0 THEN
+        RAISE EXCEPTION '% requires: %', to_stage.name, array_to_string(missing, ', ') USING ERRCODE = '23514';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS check_bd_stage_rules ON bd_opportunities;
+CREATE TRIGGER check_bd_stage_rules BEFORE INSERT OR UPDATE ON bd_opportunities
+    FOR EACH ROW EXECUTE FUNCTION check_bd_stage_rules();
+
+-- Stage history: one row each time a BD opportunity enters a stage, written by a
+-- trigger so moves from every source (BD module, REST API, offline sync) are recorded.
+CREATE TABLE IF NOT EXISTS bd_stage_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    opportunity_id UUID NOT NULL REFERENCES bd_opportunities(id) ON DELETE CASCADE,
+    from_stage TEXT, -- NULL when the opportunity was created
+    to_stage TEXT NOT NULL,
+    changed_by UUID, -- auth.uid() of the user who made the change
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_bd_stage_history_opportunity ON bd_stage_history(opportunity_id, changed_at);
+
+CREATE OR REPLACE FUNCTION record_bd_stage_change()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' OR NEW.pipeline_stage IS DISTINCT FROM OLD.pipeline_stage THEN
+        INSERT INTO bd_stage_history (opportunity_id, from_stage, to_stage, changed_by)
+        VALUES (NEW.id, CASE WHEN TG_OP = 'UPDATE' THEN OLD.pipeline_stage END, NEW.pipeline_stage, auth.uid());
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS record_bd_stage_change ON bd_opportunities;
+CREATE TRIGGER record_bd_stage_change AFTER INSERT OR UPDATE OF pipeline_stage ON bd_opportunities
+    FOR EACH ROW EXECUTE FUNCTION record_bd_stage_change();
+
+-- Existing opportunities start their history in their current stage
+INSERT INTO bd_stage_history (opportunity_id, from_stage, to_stage, changed_at)
+SELECT o.id, NULL, o.pipeline_stage, COALESCE(o.created_at, CURRENT_TIMESTAMP)
+FROM bd_opportunities o
+WHERE o.pipeline_stage IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM bd_stage_history h WHERE h.opportunity_id = o.id);
+
+-- Time in stage: each stay in a stage with when it was entered and left (left_at is
+-- NULL for the current stage). Runs with the caller's permissions, so RLS applies.
+CREATE OR REPLACE VIEW bd_stage_durations WITH (security_invoker = true) AS
+SELECT
+    h.opportunity_id,
+    h.to_stage AS stage,
+    h.changed_at AS entered_at,
+    LEAD(h.changed_at) OVER w AS left_at,
+    COALESCE(LEAD(h.changed_at) OVER w, CURRENT_TIMESTAMP) - h.changed_at AS time_in_stage
+FROM bd_stage_history h
+WINDOW w AS (PARTITION BY h.opportunity_id ORDER BY h.changed_at);
+
+-- Loss reasons: the reasons a BD user can pick when a deal is lost, managed by admins.
+-- bd_opportunities.loss_reason holds the reason's name; loss_notes any detail.
+CREATE TABLE IF NOT EXISTS loss_reasons (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL UNIQUE,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    active BOOLEAN DEFAULT TRUE, -- inactive reasons stay on old deals but cannot be picked
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO loss_reasons (name, sort_order) VALUES
+    ('Price', 1),
+    ('Lost to competitor', 2),
+    ('Budget cut or cancelled', 3),
+    ('Timing - postponed', 4),
+    ('Content not a fit', 5),
+    ('No response from client', 6),
+    ('Other', 7)
+ON CONFLICT (name) DO NOTHING;
+
+CREATE TRIGGER update_loss_reasons_updated_at BEFORE UPDATE ON loss_reasons
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE bd_opportunities ADD COLUMN IF NOT EXISTS loss_notes TEXT;
+
+-- Free-text reasons entered before the catalog existed move to loss_notes
+UPDATE bd_opportunities
+SET loss_notes = COALESCE(loss_notes, loss_reason), loss_reason = 'Other'
+WHERE loss_reason IS NOT NULL AND loss_reason NOT IN (SELECT name FROM loss_reasons);
+
+ALTER TABLE bd_opportunities DROP CONSTRAINT IF EXISTS bd_opportunities_loss_reason_fkey;
+ALTER TABLE bd_opportunities ADD CONSTRAINT bd_opportunities_loss_reason_fkey
+    FOREIGN KEY (loss_reason) REFERENCES loss_reasons(name) ON UPDATE CASCADE;
+
+-- Competitor catalog. BD users add competitors as they meet them; admins tidy the list.
+CREATE TABLE IF NOT EXISTS competitors (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    active BOOLEAN DEFAULT TRUE, -- inactive competitors stay on old deals but are not offered
+    created_by UUID REFERENCES profiles(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_competitors_name ON competitors(lower(name));
+
+CREATE TRIGGER update_competitors_updated_at BEFORE UPDATE ON competitors
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Competitors on an opportunity. bd_opportunities.competitors keeps their names as text
+-- for lists, exports and emails.
+ALTER TABLE bd_opportunities ADD COLUMN IF NOT EXISTS competitor_ids UUID[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_bd_opportunities_competitor_ids ON bd_opportunities USING GIN (competitor_ids);
+
+-- Link the free-text competitors entered so far (comma separated) to the catalog
+INSERT INTO competitors (name)
+SELECT DISTINCT ON (lower(trim(name))) trim(name)
+FROM bd_opportunities, unnest(string_to_array(competitors, ',')) AS name
+WHERE trim(name) <> ''
+ON CONFLICT DO NOTHING;
+
+UPDATE bd_opportunities o
+SET competitor_ids = ARRAY(
+    SELECT c.id FROM competitors c
+    WHERE lower(c.name) IN (SELECT lower(trim(name)) FROM unnest(string_to_array(o.competitors, ',')) AS name)
+)
+WHERE o.competitors IS NOT NULL AND o.competitor_ids = '{}';
+
+-- Clients (accounts) and their contacts, so each company is recorded once instead of
+-- being typed on every opportunity. Opportunities link to them with client_id and
+-- contact_id; the text columns (client_company/client, delegate_name/primary_contact)
+-- keep the linked names for lists, exports and emails.
+CREATE TABLE IF NOT EXISTS clients (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    city TEXT,
+    industry TEXT,
+    website TEXT,
+    notes TEXT,
+    created_by UUID REFERENCES profiles(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clients_name ON clients(lower(name));
+
+CREATE TRIGGER update_clients_updated_at BEFORE UPDATE ON clients
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS contacts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    title TEXT,
+    email TEXT,
+    phone TEXT,
+    created_by UUID REFERENCES profiles(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contacts_client_name ON contacts(client_id, lower(name));
+
+CREATE TRIGGER update_contacts_updated_at BEFORE UPDATE ON contacts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Columns the consultant form writes (already present in the hosted database; added
+-- here for new installs)
+ALTER TABLE opportunities ADD COLUMN IF NOT EXISTS city TEXT;
+ALTER TABLE opportunities ADD COLUMN IF NOT EXISTS delegate_name TEXT;
+ALTER TABLE opportunities ADD COLUMN IF NOT EXISTS delegate_title TEXT;
+ALTER TABLE opportunities ADD COLUMN IF NOT EXISTS delegate_email TEXT;
+ALTER TABLE opportunities ADD COLUMN IF NOT EXISTS phone_number TEXT;
+
+ALTER TABLE opportunities ADD COLUMN IF NOT EXISTS client_id UUID REFERENCES clients(id);
+ALTER TABLE opportunities ADD COLUMN IF NOT EXISTS contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL;
+ALTER TABLE bd_opportunities ADD COLUMN IF NOT EXISTS client_id UUID REFERENCES clients(id);
+ALTER TABLE bd_opportunities ADD COLUMN IF NOT EXISTS contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_opportunities_client_id ON opportunities(client_id);
+CREATE INDEX IF NOT EXISTS idx_bd_opportunities_client_id ON bd_opportunities(client_id);
+
+-- Create a client for every spelling entered so far (ignoring case and spaces) and link
+-- the opportunities to it; duplicates spelled differently are merged in the Clients page
+INSERT INTO clients (name, city)
+SELECT DISTINCT ON (lower(name)) name, city
+FROM (
+    SELECT trim(client_company) AS name, city, created_at FROM opportunities
+    UNION ALL
+    SELECT trim(client), city, created_at FROM bd_opportunities
+) AS entered
+WHERE name <> ''
+ORDER BY lower(name), created_at DESC
+ON CONFLICT DO NOTHING;
+
+UPDATE opportunities o SET client_id = c.id
+FROM clients c
+WHERE o.client_id IS NULL AND lower(trim(o.client_company)) = lower(c.name);
+
+UPDATE bd_opportunities o SET client_id = c.id
+FROM clients c
+WHERE o.client_id IS NULL AND lower(trim(o.client)) = lower(c.name);
+
+-- Contacts from the delegate / primary contact details, most recent details first
+INSERT INTO contacts (client_id, name, title, email, phone)
+SELECT DISTINCT ON (client_id, lower(name)) client_id, name, title, email, phone
+FROM (
+    SELECT client_id, trim(delegate_name) AS name, delegate_title AS title, delegate_email AS email,
+           phone_number AS phone, created_at
+    FROM opportunities
+    UNION ALL
+    SELECT client_id, trim(primary_contact), contact_title, contact_email, contact_phone, created_at
+    FROM bd_opportunities
+) AS entered
+WHERE client_id IS NOT NULL AND name <> ''
+ORDER BY client_id, lower(name), created_at DESC
+ON CONFLICT DO NOTHING;
+
+UPDATE opportunities o SET contact_id = ct.id
+FROM contacts ct
+WHERE o.contact_id IS NULL AND ct.client_id = o.client_id AND lower(ct.name) = lower(trim(o.delegate_name));
+
+UPDATE bd_opportunities o SET contact_id = ct.id
+FROM contacts ct
+WHERE o.contact_id IS NULL AND ct.client_id = o.client_id AND lower(ct.name) = lower(trim(o.primary_contact));
+
+-- Renaming a client or contact renames it on the opportunities linked to it. Runs as
+-- the owner so consultants' opportunities follow a rename made by BD.
+CREATE OR REPLACE FUNCTION sync_client_names()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_TABLE_NAME = 'clients' THEN
+        UPDATE opportunities SET client_company = NEW.name WHERE client_id = NEW.id;
+        UPDATE bd_opportunities SET client = NEW.name WHERE client_id = NEW.id;
+    ELSE
+        UPDATE opportunities SET delegate_name = NEW.name WHERE contact_id = NEW.id;
+        UPDATE bd_opportunities SET primary_contact = NEW.name WHERE contact_id = NEW.id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_client_names ON clients;
+CREATE TRIGGER sync_client_names AFTER UPDATE OF name ON clients
+    FOR EACH ROW WHEN (NEW.name IS DISTINCT FROM OLD.name) EXECUTE FUNCTION sync_client_names();
+
+DROP TRIGGER IF EXISTS sync_contact_names ON contacts;
+CREATE TRIGGER sync_contact_names AFTER UPDATE OF name ON contacts
+    FOR EACH ROW WHEN (NEW.name IS DISTINCT FROM OLD.name) EXECUTE FUNCTION sync_client_names();
+
+-- Merge duplicate clients into target_id: their opportunities and contacts move to it
+-- (contacts with the same name become one) and the duplicates are deleted. Runs as the
+-- owner so consultants' opportunities are moved too, but only for users who may manage
+-- clients. Called by POST /api/clients/:id/merge.
+CREATE OR REPLACE FUNCTION merge_clients(target_id UUID, source_ids UUID[])
+RETURNS JSONB
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    target_name TEXT;
+    opportunities_moved INTEGER;
+    bd_opportunities_moved INTEGER;
+    clients_merged INTEGER;
+BEGIN
+    IF NOT has_permission('clients.manage') THEN
+        RAISE EXCEPTION 'You do not have permission to merge clients' USING ERRCODE = '42501';
+    END IF;
+
+    source_ids := array_remove(source_ids, target_id);
+    SELECT name INTO target_name FROM clients WHERE id = target_id;
+    IF target_name IS NULL THEN
+        RAISE EXCEPTION 'Client % not found', target_id USING ERRCODE = 'P0002';
+    END IF;
+
+    -- Keep one contact per name: the target's own, otherwise the oldest
+    CREATE TEMP TABLE merge_contact_map ON COMMIT DROP AS
+    SELECT id, first_value(id) OVER (
+        PARTITION BY lower(name) ORDER BY (client_id = target_id) DESC, created_at, id
+    ) AS keep_id
+    FROM contacts
+    WHERE client_id = target_id OR client_id = ANY(source_ids);
+
+    UPDATE opportunities o SET contact_id = m.keep_id
+    FROM merge_contact_map m WHERE o.contact_id = m.id AND m.id <> m.keep_id;
+    UPDATE bd_opportunities o SET contact_id = m.keep_id
+    FROM merge_contact_map m WHERE o.contact_id = m.id AND m.id <> m.keep_id;
+    DELETE FROM contacts WHERE id IN (SELECT id FROM merge_contact_map WHERE id <> keep_id);
+    UPDATE contacts SET client_id = target_id WHERE client_id = ANY(source_ids);
+    DROP TABLE merge_contact_map;
+
+    UPDATE opportunities SET client_id = target_id, client_company = target_name
+    WHERE client_id = ANY(source_ids);
+    GET DIAGNOSTICS opportunities_moved = ROW_COUNT;
+
+    UPDATE bd_opportunities SET client_id = target_id, client = target_name
+    WHERE client_id = ANY(source_ids);
+    GET DIAGNOSTICS bd_opportunities_moved = ROW_COUNT;
+
+    -- Fill in details the target is missing from the duplicates
+    UPDATE clients t SET
+        city = COALESCE(t.city, s.city),
+        industry = COALESCE(t.industry, s.industry),
+        website = COALESCE(t.website, s.website)
+    FROM (
+        SELECT max(city) AS city, max(industry) AS industry, max(website) AS website
+        FROM clients WHERE id = ANY(source_ids)
+    ) s
+    WHERE t.id = target_id;
+
+    DELETE FROM clients WHERE id = ANY(source_ids);
+    GET DIAGNOSTICS clients_merged = ROW_COUNT;
+
+    RETURN jsonb_build_object(
+        'clients_merged', clients_merged,
+        'opportunities_moved', opportunities_moved,
+        'bd_opportunities_moved', bd_opportunities_moved
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Duplicate opportunities. Merging keeps one opportunity: it takes any details it is
+-- missing from the duplicate, notes from both are kept, links to the duplicate move to
+-- it and the duplicate is deleted. The functions run as the owner so users with the
+-- bd.write permission can merge leads logged by different consultants; others may only
+-- merge their own consultant opportunities. Called by POST /api/duplicates/merge.
+CREATE OR REPLACE FUNCTION merge_notes(kept TEXT, duplicate TEXT)
+RETURNS TEXT AS $$
+    SELECT CASE
+        WHEN COALESCE(trim(duplicate), '') = '' OR trim(duplicate) = trim(kept) THEN kept
+        WHEN COALESCE(trim(kept), '') = '' THEN duplicate
+        ELSE kept || E'\n\n' || duplicate
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION merge_opportunities(keep_id UUID, duplicate_id UUID)
+RETURNS VOID
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    dup opportunities%ROWTYPE;
+BEGIN
+    IF keep_id = duplicate_id THEN
+        RAISE EXCEPTION 'An opportunity cannot be merged into itself' USING ERRCODE = '22023';
+    END IF;
+
+    SELECT * INTO dup FROM opportunities WHERE id = duplicate_id;
+    IF NOT FOUND OR NOT EXISTS (SELECT 1 FROM opportunities WHERE id = keep_id) THEN
+        RAISE EXCEPTION 'Opportunity not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF NOT has_permission('bd.write')
+       AND EXISTS (SELECT 1 FROM opportunities WHERE id IN (keep_id, duplicate_id) AND created_by IS DISTINCT FROM auth.uid()) THEN
+        RAISE EXCEPTION 'You can only merge your own opportunities' USING ERRCODE = '42501';
+    END IF;
+
+    UPDATE opportunities SET
+        client_id = COALESCE(client_id, dup.client_id),
+        contact_id = COALESCE(contact_id, dup.contact_id),
+        course_date = COALESCE(course_date, dup.course_date),
+        delegate_name = COALESCE(NULLIF(delegate_name, ''), dup.delegate_name),
+        delegate_title = COALESCE(NULLIF(delegate_title, ''), dup.delegate_title),
+        delegate_email = COALESCE(NULLIF(delegate_email, ''), dup.delegate_email),
+        phone_number = COALESCE(NULLIF(phone_number, ''), dup.phone_number),
+        city = COALESCE(NULLIF(city, ''), dup.city),
+        discussion_notes = merge_notes(discussion_notes, dup.discussion_notes),
+        consultant_action = merge_notes(consultant_action, dup.consultant_action),
+        bd_action = merge_notes(bd_action, dup.bd_action)
+    WHERE id = keep_id;
+
+    UPDATE bd_opportunities SET source_opportunity_id = keep_id WHERE source_opportunity_id = duplicate_id;
+    DELETE FROM opportunities WHERE id = duplicate_id;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION merge_bd_opportunities(keep_id UUID, duplicate_id UUID)
+RETURNS VOID
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    dup bd_opportunities%ROWTYPE;
+BEGIN
+    IF NOT has_permission('bd.write') THEN
+        RAISE EXCEPTION 'You do not have permission to merge BD opportunities' USING ERRCODE = '42501';
+    END IF;
+    IF keep_id = duplicate_id THEN
+        RAISE EXCEPTION 'An opportunity cannot be merged into itself' USING ERRCODE = '22023';
+    END IF;
+
+    SELECT * INTO dup FROM bd_opportunities WHERE id = duplicate_id;
+    IF NOT FOUND OR NOT EXISTS (SELECT 1 FROM bd_opportunities WHERE id = keep_id) THEN
+        RAISE EXCEPTION 'Opportunity not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    -- The kept opportunity stays in its stage; only missing details are filled in
+    UPDATE bd_opportunities SET
+        source_opportunity_id = COALESCE(source_opportunity_id, dup.source_opportunity_id),
+        client_id = COALESCE(client_id, dup.client_id),
+        contact_id = COALESCE(contact_id, dup.contact_id),
+        city = COALESCE(NULLIF(city, ''), dup.city),
+        consultant_name = COALESCE(NULLIF(consultant_name, ''), dup.consultant_name),
+        primary_contact = COALESCE(NULLIF(primary_contact, ''), dup.primary_contact),
+        contact_title = COALESCE(NULLIF(contact_title, ''), dup.contact_title),
+        contact_email = COALESCE(NULLIF(contact_email, ''), dup.contact_email),
+        contact_phone = COALESCE(NULLIF(contact_phone, ''), dup.contact_phone),
+        estimated_budget = COALESCE(estimated_budget, dup.estimated_budget),
+        expected_close_date = COALESCE(expected_close_date, dup.expected_close_date),
+        competitor_ids = ARRAY(SELECT DISTINCT unnest(competitor_ids || dup.competitor_ids)),
+        bd_notes = merge_notes(bd_notes, dup.bd_notes),
+        next_actions = merge_notes(next_actions, dup.next_actions),
+        loss_notes = merge_notes(loss_notes, dup.loss_notes)
+    WHERE id = keep_id;
+
+    UPDATE bd_opportunities o SET competitors = (
+        SELECT string_agg(c.name, ', ' ORDER BY c.name) FROM competitors c WHERE c.id = ANY(o.competitor_ids)
+    )
+    WHERE o.id = keep_id AND o.competitor_ids <> '{}';
+
+    DELETE FROM bd_opportunities WHERE id = duplicate_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Set on a consultant opportunity once BD has converted it (see conversion.js).
+-- bd_stage mirrors the BD opportunity's pipeline_stage, since consultants cannot read
+-- bd_opportunities themselves.
+ALTER TABLE opportunities ADD COLUMN IF NOT EXISTS converted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE opportunities ADD COLUMN IF NOT EXISTS converted_by UUID;
+ALTER TABLE opportunities ADD COLUMN IF NOT EXISTS bd_opportunity_id UUID REFERENCES bd_opportunities(id) ON DELETE SET NULL;
+ALTER TABLE opportunities ADD COLUMN IF NOT EXISTS bd_stage TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_bd_opportunities_source ON bd_opportunities(source_opportunity_id);
+
+-- Point a consultant opportunity at its latest BD opportunity, or clear the conversion
+-- when none is left. Runs as the owner because BD users cannot update consultants' rows.
+CREATE OR REPLACE FUNCTION sync_conversion_status()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    source_ids UUID[];
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        source_ids := ARRAY[NEW.source_opportunity_id];
+    ELSIF TG_OP = 'DELETE' THEN
+        source_ids := ARRAY[OLD.source_opportunity_id];
+    ELSE
+        source_ids := ARRAY[OLD.source_opportunity_id, NEW.source_opportunity_id];
+    END IF;
+
+    UPDATE opportunities o SET
+        bd_opportunity_id = latest.bd_id,
+        bd_stage = latest.pipeline_stage,
+        converted_at = CASE WHEN latest.bd_id IS NULL THEN NULL ELSE COALESCE(o.converted_at, latest.created_at) END,
+        converted_by = CASE WHEN latest.bd_id IS NULL THEN NULL ELSE COALESCE(o.converted_by, latest.created_by, auth.uid()) END
+    FROM (
+        SELECT s.id AS source_id, b.id AS bd_id, b.pipeline_stage, b.created_at, b.created_by
+        FROM unnest(source_ids) AS s(id)
+        LEFT JOIN LATERAL (
+            SELECT id, pipeline_stage, created_at, created_by FROM bd_opportunities
+            WHERE source_opportunity_id = s.id
+            ORDER BY created_at DESC
+            LIMIT 1
+        ) b ON true
+        WHERE s.id IS NOT NULL
+    ) latest
+    WHERE o.id = latest.source_id
+      AND (o.bd_opportunity_id IS DISTINCT FROM latest.bd_id OR o.bd_stage IS DISTINCT FROM latest.pipeline_stage);
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_conversion_status ON bd_opportunities;
+CREATE TRIGGER sync_conversion_status AFTER INSERT OR DELETE OR UPDATE OF pipeline_stage, source_opportunity_id ON bd_opportunities
+    FOR EACH ROW EXECUTE FUNCTION sync_conversion_status();
+
+-- Mark opportunities imported before the conversion columns existed
+UPDATE opportunities o SET
+    bd_opportunity_id = latest.id,
+    bd_stage = latest.pipeline_stage,
+    converted_at = latest.created_at,
+    converted_by = latest.created_by
+FROM (
+    SELECT DISTINCT ON (source_opportunity_id) source_opportunity_id, id, pipeline_stage, created_at, created_by
+    FROM bd_opportunities
+    WHERE source_opportunity_id IS NOT NULL
+    ORDER BY source_opportunity_id, created_at DESC
+) latest
+WHERE o.id = latest.source_opportunity_id AND o.bd_opportunity_id IS NULL;
+
+-- Follow-up tasks on an opportunity (entity_type: 'opportunities' or 'bd_opportunities').
+-- assigned_to / created_by are auth user ids; their names and the opportunity's label are
+-- stored with the task because other users' profiles and opportunities are not readable.
+-- The server emails the assignee when an open task falls due (reminded_on: last reminder).
+CREATE TABLE IF NOT EXISTS tasks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entity_type TEXT NOT NULL CHECK (entity_type IN ('opportunities', 'bd_opportunities')),
+    entity_id UUID NOT NULL,
+    entity_label TEXT,
+    title TEXT NOT NULL,
+    notes TEXT,
+    due_date DATE,
+    assigned_to UUID NOT NULL,
+    assigned_name TEXT,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'done', 'cancelled')),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    reminded_on DATE,
+    created_by UUID DEFAULT auth.uid(),
+    created_by_name TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_entity ON tasks(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_assigned_open ON tasks(assigned_to, due_date) WHERE status = 'open';
+
+CREATE TRIGGER update_tasks_updated_at BEFORE UPDATE ON tasks
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Stamp completed_at when a task is done; a task moved back to open is reminded again
+CREATE OR REPLACE FUNCTION set_task_completion()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status = 'done' AND OLD.status IS DISTINCT FROM 'done' THEN
+        NEW.completed_at := CURRENT_TIMESTAMP;
+    ELSIF NEW.status <> 'done' THEN
+        NEW.completed_at := NULL;
+    END IF;
+    IF NEW.due_date IS DISTINCT FROM OLD.due_date OR (NEW.status = 'open' AND OLD.status <> 'open') THEN
+        NEW.reminded_on := NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_task_completion ON tasks;
+CREATE TRIGGER set_task_completion BEFORE UPDATE OF status, due_date ON tasks
+    FOR EACH ROW EXECUTE FUNCTION set_task_completion();
+
+-- Tasks go with their opportunity. Runs as the owner so tasks other users created or
+-- were given are removed too.
+CREATE OR REPLACE FUNCTION delete_opportunity_tasks()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    DELETE FROM tasks WHERE entity_type = TG_TABLE_NAME AND entity_id = OLD.id;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS delete_opportunity_tasks ON opportunities;
+CREATE TRIGGER delete_opportunity_tasks AFTER DELETE ON opportunities
+    FOR EACH ROW EXECUTE FUNCTION delete_opportunity_tasks();
+
+DROP TRIGGER IF EXISTS delete_bd_opportunity_tasks ON bd_opportunities;
+CREATE TRIGGER delete_bd_opportunity_tasks AFTER DELETE ON bd_opportunities
+    FOR EACH ROW EXECUTE FUNCTION delete_opportunity_tasks();
+
+-- Calendar feeds: the secret token in each user's iCalendar subscription URL
+-- (/api/calendar/feed/<token>.ics). Calendar apps cannot sign in, so the token stands
+-- in for the user; resetting it replaces the row. Only the server reads this table.
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    token TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_accessed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Roles and permissions: what each role may do, managed by admins in User Management.
+-- profiles.role holds a role key. The server checks permissions on every API request
+-- (permissions.js), the RLS policies through has_permission(), and the front end reads
+-- them to build navigation and hide actions.
+CREATE TABLE IF NOT EXISTS roles (
+    key TEXT PRIMARY KEY CHECK (key ~ '^[a-z][a-z0-9_-]*$'),
+    name TEXT NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS permissions (
+    key TEXT PRIMARY KEY,
+    description TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role TEXT NOT NULL REFERENCES roles(key) ON UPDATE CASCADE ON DELETE CASCADE,
+    permission TEXT NOT NULL REFERENCES permissions(key) ON DELETE CASCADE,
+    PRIMARY KEY (role, permission)
+);
+
+INSERT INTO permissions (key, description) VALUES
+    ('opportunities.read', 'See consultant opportunities (their own unless they can see all)'),
+    ('opportunities.read_all', 'See every consultant''s opportunities'),
+    ('opportunities.write', 'Add and edit consultant opportunities in the Consultant module'),
+    ('bd.read', 'See the BD pipeline'),
+    ('bd.write', 'Add, edit, convert and merge BD opportunities'),
+    ('reports.view', 'Revenue forecast and win/loss reports'),
+    ('clients.manage', 'Edit and merge clients and contacts'),
+    ('clients.delete', 'Delete clients'),
+    ('tasks.read_all', 'See and update everyone''s tasks'),
+    ('tasks.delete_all', 'Delete tasks created by others'),
+    ('calendar.view', 'Calendar and calendar feed'),
+    ('audit.read_all', 'See the whole audit trail'),
+    ('users.manage', 'Create users and change their roles and role permissions'),
+    ('settings.manage', 'Pipeline stages, loss reasons, competitors, notification routing and email templates')
+ON CONFLICT (key) DO UPDATE SET description = EXCLUDED.description;
+
+-- bd_only replaces the email list that kept some BD users out of the Consultant module
+INSERT INTO roles (key, name, description) VALUES
+    ('consultant', 'Consultant', 'Records training opportunities'),
+    ('bd', 'BD Professional', 'Works the BD pipeline'),
+    ('bd_only', 'BD Only', 'BD pipeline and reports, without the Consultant module or calendar'),
+    ('admin', 'Administrator', 'Everything, including users and settings')
+ON CONFLICT (key) DO NOTHING;
+
+-- Starting permissions, only for roles that have none yet so admins' changes are kept
+INSERT INTO role_permissions (role, permission)
+SELECT defaults.role, defaults.permission
+FROM (VALUES
+    ('consultant', 'opportunities.read'), ('consultant', 'opportunities.write'), ('consultant', 'calendar.view'),
+    ('bd', 'opportunities.read'), ('bd', 'opportunities.read_all'), ('bd', 'bd.read'), ('bd', 'bd.write'),
+    ('bd', 'reports.view'), ('bd', 'clients.manage'), ('bd', 'tasks.read_all'), ('bd', 'calendar.view'),
+    ('bd_only', 'opportunities.read'), ('bd_only', 'opportunities.read_all'), ('bd_only', 'bd.read'),
+    ('bd_only', 'bd.write'), ('bd_only', 'reports.view'), ('bd_only', 'clients.manage'), ('bd_only', 'tasks.read_all')
+) AS defaults(role, permission)
+WHERE NOT EXISTS (SELECT 1 FROM role_permissions WHERE role_permissions.role = defaults.role);
+
+-- Admins always start with every permission
+INSERT INTO role_permissions (role, permission)
+SELECT 'admin', key FROM permissions
+ON CONFLICT DO NOTHING;
+
+-- Users previously held to the BD module by email
+UPDATE profiles SET role = 'bd_only'
+WHERE email IN ('akayed@viftraining.com', 'wael@viftraining.com') AND role = 'bd';
+
+-- A profile's role must be a configured role (replaces the fixed list of role names)
+ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_role_check;
+ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_role_fkey;
+ALTER TABLE profiles ADD CONSTRAINT profiles_role_fkey
+    FOREIGN KEY (role) REFERENCES roles(key) ON UPDATE CASCADE;
+
+-- Deactivated users keep their profile, opportunities and history, but cannot use the
+-- portal: they have no permissions, the server refuses their requests and they are left
+-- out of assignee lists and emails. Set from User Management.
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS deactivated_by UUID; -- auth user who deactivated them
+
+-- Whether the signed-in user's role has a permission (never for deactivated users). Used
+-- by the RLS policies and the merge functions; runs as the owner so it can read the
+-- caller's profile.
+CREATE OR REPLACE FUNCTION has_permission(required_permission TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM profiles
+        JOIN role_permissions ON role_permissions.role = profiles.role
+        WHERE profiles.user_id = auth.uid()
+          AND profiles.deactivated_at IS NULL
+          AND role_permissions.permission = required_permission
+    );
+$$;
+
+-- Teams: a manager sees the consultant opportunities of their team's members, and the
+-- dashboard totals opportunities and pipeline by team. Managed in User Management.
+CREATE TABLE IF NOT EXISTS teams (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    manager_id UUID REFERENCES auth.users(id) ON DELETE SET NULL, -- auth user, like created_by
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_teams_name ON teams(lower(name));
+CREATE INDEX IF NOT EXISTS idx_teams_manager ON teams(manager_id);
+
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_profiles_team ON profiles(team_id);
+
+-- Scope: when either list is set, the user only sees other people's opportunities (BD
+-- pipeline and consultant) in these cities or for these clients. Empty means no limit.
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS scope_cities TEXT[];
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS scope_client_ids UUID[];
+
+-- Whether the signed-in user manages the team of the given auth user. Runs as the owner
+-- so the RLS policies can read other users' profiles.
+CREATE OR REPLACE FUNCTION manages_user(member_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM profiles
+        JOIN teams ON teams.id = profiles.team_id
+        WHERE profiles.user_id = member_id AND teams.manager_id = auth.uid()
+    );
+$$;
+
+-- Whether a row's city / client is within the signed-in user's scope (always true for
+-- users without one). Cities match ignoring case.
+CREATE OR REPLACE FUNCTION in_user_scope(row_city TEXT, row_client_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE((
+        SELECT (COALESCE(cardinality(scope_cities), 0) = 0 AND COALESCE(cardinality(scope_client_ids), 0) = 0)
+            OR lower(trim(row_city)) IN (SELECT lower(trim(city)) FROM unnest(scope_cities) AS city)
+            OR row_client_id = ANY (scope_client_ids)
+        FROM profiles
+        WHERE user_id = auth.uid()
+    ), FALSE);
+$$;
+
+-- Only user managers may set a profile's role, team, scope or deactivation; users creating
+-- their own profile start as consultants and users editing it keep what they have. The
+-- server (service role) is not limited.
+CREATE OR REPLACE FUNCTION protect_profile_team_and_scope()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF auth.uid() IS NULL OR has_permission('users.manage') THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.role IS DISTINCT FROM 'consultant' THEN
+            RAISE EXCEPTION 'New profiles start as consultants; a user manager assigns other roles' USING ERRCODE = '42501';
+        END IF;
+        IF NEW.team_id IS NOT NULL OR NEW.scope_cities IS NOT NULL OR NEW.scope_client_ids IS NOT NULL
+           OR NEW.deactivated_at IS NOT NULL THEN
+            RAISE EXCEPTION 'You do not have permission to set teams, scopes or deactivation' USING ERRCODE = '42501';
+        END IF;
+    ELSIF NEW.role IS DISTINCT FROM OLD.role THEN
+        RAISE EXCEPTION 'You do not have permission to change roles' USING ERRCODE = '42501';
+    ELSIF NEW.team_id IS DISTINCT FROM OLD.team_id
+       OR NEW.scope_cities IS DISTINCT FROM OLD.scope_cities
+       OR NEW.scope_client_ids IS DISTINCT FROM OLD.scope_client_ids
+       OR NEW.deactivated_at IS DISTINCT FROM OLD.deactivated_at
+       OR NEW.deactivated_by IS DISTINCT FROM OLD.deactivated_by THEN
+        RAISE EXCEPTION 'You do not have permission to change teams, scopes or deactivation' USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_profile_team_and_scope ON profiles;
+CREATE TRIGGER protect_profile_team_and_scope BEFORE INSERT OR UPDATE ON profiles
+    FOR EACH ROW EXECUTE FUNCTION protect_profile_team_and_scope();
+
+-- The BD professional's account (auth user id) behind bd_prof, so ownership survives
+-- renames and two users with the same name. Forms and imports only send the name: it is
+-- resolved to the one active user going by it, or, when several do, to the id sent with
+-- it or the user saving the row; names that stay ambiguous leave bd_prof_id empty.
+ALTER TABLE bd_opportunities ADD COLUMN IF NOT EXISTS bd_prof_id UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_bd_opportunities_bd_prof_id ON bd_opportunities(bd_prof_id);
+
+CREATE OR REPLACE FUNCTION set_bd_prof_id()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    matches UUID[];
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.bd_prof IS NOT DISTINCT FROM OLD.bd_prof
+       AND NEW.bd_prof_id IS NOT DISTINCT FROM OLD.bd_prof_id THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT array_agg(user_id) INTO matches
+    FROM profiles
+    WHERE user_id IS NOT NULL
+      AND deactivated_at IS NULL
+      AND COALESCE(NULLIF(full_name, ''), email) = NEW.bd_prof;
+
+    NEW.bd_prof_id := CASE
+        WHEN cardinality(matches) = 1 THEN matches[1]
+        WHEN NEW.bd_prof_id = ANY (matches) THEN NEW.bd_prof_id
+        WHEN auth.uid() = ANY (matches) THEN auth.uid()
+    END;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_bd_prof_id ON bd_opportunities;
+CREATE TRIGGER set_bd_prof_id BEFORE INSERT OR UPDATE OF bd_prof, bd_prof_id ON bd_opportunities
+    FOR EACH ROW EXECUTE FUNCTION set_bd_prof_id();
+
+-- Link the opportunities entered so far whose name belongs to exactly one active user
+UPDATE bd_opportunities o SET bd_prof_id = p.user_id
+FROM (
+    SELECT COALESCE(NULLIF(full_name, ''), email) AS name, (array_agg(user_id))[1] AS user_id
+    FROM profiles
+    WHERE user_id IS NOT NULL AND deactivated_at IS NULL
+    GROUP BY 1
+    HAVING count(*) = 1
+) p
+WHERE o.bd_prof_id IS NULL AND o.bd_prof = p.name;
+
+-- Hand a user's opportunities over to another user, e.g. when they leave: consultant
+-- opportunities move by created_by (consultant_name follows when it was the previous
+-- owner's name), BD opportunities by bd_prof_id (bd_prof follows), and open tasks on the
+-- moved opportunities by assigned_to - all of the user's open tasks when everything is
+-- handed over. BD opportunities not linked to an account yet move by the bd_prof name
+-- (users without a full name go by their email, as everywhere else in the portal), but
+-- only while no other active user has the same name; otherwise the handover is refused
+-- until they are linked.
+-- opportunity_ids / bd_opportunity_ids limit the handover to those rows; NULL moves all
+-- of the user's rows and an empty list none. Runs as the owner so other users' rows can
+-- be moved, but only for users with users.manage. Called by POST /api/admin/reassignments.
+CREATE OR REPLACE FUNCTION reassign_opportunities(
+    from_user UUID,
+    to_user UUID,
+    opportunity_ids UUID[] DEFAULT NULL,
+    bd_opportunity_ids UUID[] DEFAULT NULL
+)
+RETURNS JSONB
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    from_name TEXT;
+    to_name TEXT;
+    moved_opportunities UUID[];
+    moved_bd_opportunities UUID[];
+    tasks_moved INTEGER;
+BEGIN
+    IF NOT has_permission('users.manage') THEN
+        RAISE EXCEPTION 'You do not have permission to reassign opportunities' USING ERRCODE = '42501';
+    END IF;
+    IF from_user = to_user THEN
+        RAISE EXCEPTION 'Opportunities cannot be reassigned to the same user' USING ERRCODE = '22023';
+    END IF;
+
+    SELECT COALESCE(NULLIF(full_name, ''), email) INTO from_name FROM profiles WHERE user_id = from_user;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'User % not found', from_user USING ERRCODE = 'P0002';
+    END IF;
+    SELECT COALESCE(NULLIF(full_name, ''), email) INTO to_name FROM profiles WHERE user_id = to_user AND deactivated_at IS NULL;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'User % not found or deactivated', to_user USING ERRCODE = 'P0002';
+    END IF;
+
+    WITH moved AS (
+        UPDATE opportunities SET
+            created_by = to_user,
+            consultant_name = CASE WHEN consultant_name IS NOT DISTINCT FROM from_name THEN to_name ELSE consultant_name END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE created_by = from_user
+          AND (opportunity_ids IS NULL OR id = ANY (opportunity_ids))
+        RETURNING id
+    )
+    SELECT COALESCE(array_agg(id), '{}') INTO moved_opportunities FROM moved;
+
+    IF EXISTS (
+        SELECT 1 FROM profiles
+        WHERE user_id <> from_user
+          AND deactivated_at IS NULL
+          AND COALESCE(NULLIF(full_name, ''), email) = from_name
+    ) AND EXISTS (
+        SELECT 1 FROM bd_opportunities
+        WHERE bd_prof_id IS NULL AND bd_prof = from_name
+          AND (bd_opportunity_ids IS NULL OR id = ANY (bd_opportunity_ids))
+    ) THEN
+        RAISE EXCEPTION 'More than one active user is named %; link their BD opportunities to an account (bd_prof_id) before handing them over', from_name
+            USING ERRCODE = '22023';
+    END IF;
+
+    WITH moved AS (
+        UPDATE bd_opportunities SET
+            bd_prof = to_name,
+            bd_prof_id = to_user,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE (bd_prof_id = from_user OR (bd_prof_id IS NULL AND from_name IS NOT NULL AND bd_prof = from_name))
+          AND (bd_opportunity_ids IS NULL OR id = ANY (bd_opportunity_ids))
+        RETURNING id
+    )
+    SELECT COALESCE(array_agg(id), '{}') INTO moved_bd_opportunities FROM moved;
+
+    UPDATE tasks SET
+        assigned_to = to_user,
+        assigned_name = to_name,
+        reminded_on = NULL
+    WHERE assigned_to = from_user
+      AND status = 'open'
+      AND (
+          (opportunity_ids IS NULL AND bd_opportunity_ids IS NULL)
+          OR (entity_type = 'opportunities' AND entity_id = ANY (moved_opportunities))
+          OR (entity_type = 'bd_opportunities' AND entity_id = ANY (moved_bd_opportunities))
+      );
+    GET DIAGNOSTICS tasks_moved = ROW_COUNT;
+
+    RETURN jsonb_build_object(
+        'opportunity_ids', to_jsonb(moved_opportunities),
+        'bd_opportunity_ids', to_jsonb(moved_bd_opportunities),
+        'tasks_moved', tasks_moved
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Deactivate a user, first handing everything they own to reassign_to when given, in
+-- one transaction: if the handover fails the user stays active, and a failed
+-- deactivation leaves their opportunities where they were. Returns the profile id,
+-- deactivated_at and the reassign_opportunities() result (null without reassign_to).
+-- Called by POST /api/admin/users/:id/deactivate.
+CREATE OR REPLACE FUNCTION deactivate_user(
+    target_user UUID,
+    reassign_to UUID DEFAULT NULL
+)
+RETURNS JSONB
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    target_profile profiles%ROWTYPE;
+    handover JSONB;
+BEGIN
+    IF NOT has_permission('users.manage') THEN
+        RAISE EXCEPTION 'You do not have permission to deactivate users' USING ERRCODE = '42501';
+    END IF;
+    IF target_user = auth.uid() THEN
+        RAISE EXCEPTION 'You cannot deactivate your own account' USING ERRCODE = '22023';
+    END IF;
+
+    SELECT * INTO target_profile FROM profiles WHERE user_id = target_user FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'User % not found', target_user USING ERRCODE = 'P0002';
+    END IF;
+    IF target_profile.deactivated_at IS NOT NULL THEN
+        RAISE EXCEPTION 'User is already deactivated' USING ERRCODE = '55000';
+    END IF;
+
+    IF reassign_to IS NOT NULL THEN
+        handover := reassign_opportunities(target_user, reassign_to);
+    END IF;
+
+    UPDATE profiles SET
+        deactivated_at = CURRENT_TIMESTAMP,
+        deactivated_by = auth.uid()
+    WHERE id = target_profile.id
+    RETURNING * INTO target_profile;
+
+    RETURN jsonb_build_object(
+        'profile_id', target_profile.id,
+        'deactivated_at', target_profile.deactivated_at,
+        'handover', handover
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Audit trail: every insert, update and delete on the audited tables is written to
+-- activity_log with the acting user (auth.uid(), null for the server and database jobs)
+-- and a field-by-field { from, to } diff in details.changes, however the change was
+-- made. Profile role and deactivation changes are recorded as role_changed, deactivated
+-- and reactivated. Runs as the owner, since users cannot write activity_log themselves.
+CREATE OR REPLACE FUNCTION record_audit()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    before_row JSONB := CASE WHEN TG_OP <> 'INSERT' THEN to_jsonb(OLD) END;
+    after_row JSONB := CASE WHEN TG_OP <> 'DELETE' THEN to_jsonb(NEW) END;
+    changes JSONB;
+    audit_action TEXT := lower(TG_OP);
+    actor RECORD;
+BEGIN
+    SELECT COALESCE(jsonb_object_agg(field, jsonb_build_object(
+               'from', COALESCE(before_row -> field, 'null'::jsonb),
+               'to', COALESCE(after_row -> field, 'null'::jsonb))), '{}'::jsonb)
+    INTO changes
+    FROM jsonb_object_keys(COALESCE(after_row, before_row)) AS field
+    WHERE field NOT IN ('created_at', 'updated_at', 'reminded_on')
+      AND COALESCE(before_row -> field, 'null'::jsonb) IS DISTINCT FROM COALESCE(after_row -> field, 'null'::jsonb);
+
+    IF changes = '{}'::jsonb THEN
+        RETURN NULL;
+    END IF;
+
+    IF TG_TABLE_NAME = 'profiles' AND TG_OP = 'UPDATE' THEN
+        IF changes ? 'role' THEN
+            audit_action := 'role_changed';
+        ELSIF changes ? 'deactivated_at' THEN
+            audit_action := CASE WHEN NEW.deactivated_at IS NULL THEN 'reactivated' ELSE 'deactivated' END;
+        END IF;
+    END IF;
+
+    -- Names are stored with the entry because other users' profiles are not readable
+    SELECT COALESCE(NULLIF(full_name, ''), email) AS name, email INTO actor
+    FROM profiles WHERE user_id = auth.uid();
+
+    INSERT INTO activity_log (user_id, action, entity_type, entity_id, details)
+    VALUES (
+        auth.uid(),
+        audit_action,
+        TG_TABLE_NAME,
+        (COALESCE(after_row, before_row) ->> 'id')::UUID,
+        jsonb_strip_nulls(jsonb_build_object('actor_name', actor.name, 'actor_email', actor.email))
+            || jsonb_build_object('changes', changes)
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+DECLARE
+    table_name TEXT;
+BEGIN
+    FOREACH table_name IN ARRAY ARRAY['opportunities', 'bd_opportunities', 'clients', 'tasks', 'profiles'] LOOP
+        EXECUTE format('DROP TRIGGER IF EXISTS record_audit ON public.%I', table_name);
+        EXECUTE format('CREATE TRIGGER record_audit AFTER INSERT OR UPDATE OR DELETE ON public.%I
+            FOR EACH ROW EXECUTE FUNCTION record_audit()', table_name);
+    END LOOP;
+END $$;
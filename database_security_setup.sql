@@ -6,10 +6,9 @@
 -- 1. ROLE CONSTRAINTS & VALIDATION
 -- =====================================================
 
--- Add CHECK constraint to prevent invalid roles
-ALTER TABLE profiles 
-ADD CONSTRAINT profiles_role_check 
-CHECK (role IN ('consultant', 'bd', 'admin'));
+-- Roles must be one of the configured roles: database_schema.sql links profiles.role to
+-- the roles table, replacing the old CHECK constraint
+ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_role_check;
 
 -- Add default role constraint
 ALTER TABLE profiles 
@@ -58,6 +57,7 @@ DROP POLICY IF EXISTS "profiles_select_own" ON profiles;
 DROP POLICY IF EXISTS "profiles_update_own" ON profiles;
 DROP POLICY IF EXISTS "profiles_admin_update" ON profiles;
 DROP POLICY IF EXISTS "profiles_insert_own" ON profiles;
+DROP POLICY IF EXISTS "profiles_select_managed" ON profiles;
 DROP POLICY IF EXISTS "Users can view their own profile only" ON profiles;
 DROP POLICY IF EXISTS "Users can update their own profile only" ON profiles;
 DROP POLICY IF EXISTS "Prevent role elevation" ON profiles;
@@ -79,50 +79,69 @@ DROP POLICY IF EXISTS "Users manage their bd_opportunities only" ON bd_opportuni
 CREATE POLICY "profiles_select_own" ON profiles
   FOR SELECT USING (auth.uid() = user_id);
 
--- CRITICAL: Secure UPDATE policy with WITH CHECK to prevent role elevation
+-- Team managers see their members' profiles; user managers see everyone's
+CREATE POLICY "profiles_select_managed" ON profiles
+  FOR SELECT USING (manages_user(user_id) OR has_permission('users.manage'));
+
+-- CRITICAL: Secure UPDATE policy with WITH CHECK to prevent role elevation: users
+-- cannot give themselves a role that manages users (protect_profile_team_and_scope
+-- also rejects any change to their own role)
 CREATE POLICY "profiles_update_own" ON profiles  
   FOR UPDATE 
   USING (auth.uid() = user_id) 
-  WITH CHECK (auth.uid() = user_id AND role IN ('consultant', 'bd'));
+  WITH CHECK (
+    auth.uid() = user_id AND 
+    NOT EXISTS (
+      SELECT 1 FROM role_permissions 
+      WHERE role_permissions.role = profiles.role AND permission = 'users.manage'
+    )
+  );
 
--- Admin override policy (allows admins to update any profile)
+-- Admin override policy (allows user managers to update any profile)
 CREATE POLICY "profiles_admin_update" ON profiles
   FOR UPDATE 
-  USING (
-    EXISTS (
-      SELECT 1 FROM profiles 
-      WHERE user_id = auth.uid() AND role = 'admin'
-    )
-  )
-  WITH CHECK (role IN ('consultant', 'bd', 'admin'));
+  USING (has_permission('users.manage'))
+  WITH CHECK (has_permission('users.manage'));
 
--- Profile creation policy (for trigger and emergency manual creation)
+-- Profile creation policy (for trigger and emergency manual creation); self-created
+-- profiles must be consultants (enforced by protect_profile_team_and_scope)
 CREATE POLICY "profiles_insert_own" ON profiles
   FOR INSERT 
   WITH CHECK (
     auth.uid() = user_id AND 
-    role IN ('consultant', 'bd')
+    NOT EXISTS (
+      SELECT 1 FROM role_permissions 
+      WHERE role_permissions.role = profiles.role AND permission = 'users.manage'
+    )
   );
 
--- Secure opportunities policies
+-- Secure opportunities policies: users see their own opportunities and those of the
+-- teams they manage, or all of them (within their scope) with opportunities.read_all;
+-- they write their own with opportunities.write
 CREATE POLICY "opportunities_select" ON opportunities
   FOR SELECT USING (
     auth.uid()::text = user_id::text OR 
-    auth.uid()::text = created_by::text
+    auth.uid()::text = created_by::text OR
+    manages_user(created_by) OR
+    (has_permission('opportunities.read_all') AND in_user_scope(city, client_id))
   );
 
 CREATE POLICY "opportunities_insert" ON opportunities
   FOR INSERT 
   WITH CHECK (
-    auth.uid()::text = user_id::text OR 
-    auth.uid()::text = created_by::text
+    has_permission('opportunities.write') AND (
+      auth.uid()::text = user_id::text OR 
+      auth.uid()::text = created_by::text
+    )
   );
 
 CREATE POLICY "opportunities_update" ON opportunities
   FOR UPDATE 
   USING (
-    auth.uid()::text = user_id::text OR 
-    auth.uid()::text = created_by::text
+    has_permission('opportunities.write') AND (
+      auth.uid()::text = user_id::text OR 
+      auth.uid()::text = created_by::text
+    )
   )
   WITH CHECK (
     auth.uid()::text = user_id::text OR 
@@ -131,57 +150,296 @@ CREATE POLICY "opportunities_update" ON opportunities
 
 CREATE POLICY "opportunities_delete" ON opportunities
   FOR DELETE USING (
-    auth.uid()::text = user_id::text OR 
-    auth.uid()::text = created_by::text
+    has_permission('opportunities.write') AND (
+      auth.uid()::text = user_id::text OR 
+      auth.uid()::text = created_by::text
+    )
   );
 
--- Secure bd_opportunities policies  
+-- Secure bd_opportunities policies: bd.read to see the pipeline, bd.write to change it,
+-- both limited to the user's scope (cities / clients) when they have one
 CREATE POLICY "bd_opportunities_select" ON bd_opportunities
   FOR SELECT USING (
     auth.uid()::text = user_id::text OR 
-    auth.uid()::text = assigned_to::text
+    auth.uid()::text = assigned_to::text OR
+    (has_permission('bd.read') AND in_user_scope(city, client_id))
   );
 
 CREATE POLICY "bd_opportunities_insert" ON bd_opportunities
   FOR INSERT 
-  WITH CHECK (
-    auth.uid()::text = user_id::text OR 
-    auth.uid()::text = assigned_to::text
-  );
+  WITH CHECK (has_permission('bd.write') AND in_user_scope(city, client_id));
 
 CREATE POLICY "bd_opportunities_update" ON bd_opportunities
   FOR UPDATE 
-  USING (
-    auth.uid()::text = user_id::text OR 
-    auth.uid()::text = assigned_to::text
-  )
-  WITH CHECK (
-    auth.uid()::text = user_id::text OR 
-    auth.uid()::text = assigned_to::text
-  );
+  USING (has_permission('bd.write') AND in_user_scope(city, client_id))
+  WITH CHECK (has_permission('bd.write') AND in_user_scope(city, client_id));
 
 CREATE POLICY "bd_opportunities_delete" ON bd_opportunities
+  FOR DELETE USING (has_permission('bd.write') AND in_user_scope(city, client_id));
+
+-- Notification routing rules: managed with settings.manage, server reads with the service role
+ALTER TABLE notification_rules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "notification_rules_admin_all" ON notification_rules;
+
+CREATE POLICY "notification_rules_admin_all" ON notification_rules
+  FOR ALL
+  USING (has_permission('settings.manage'))
+  WITH CHECK (has_permission('settings.manage'));
+
+-- Notification outbox: written by the server (service role), readable and
+-- retryable with settings.manage through /api/admin/notifications
+ALTER TABLE notification_outbox ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "notification_outbox_admin_all" ON notification_outbox;
+
+CREATE POLICY "notification_outbox_admin_all" ON notification_outbox
+  FOR ALL
+  USING (has_permission('settings.manage'));
+
+-- Activity log (audit trail): an entry is visible to its author, to users with
+-- audit.read_all, and to anyone who can see the opportunity it describes. Only the
+-- record_audit trigger and the server (service role) write entries, so there are no
+-- INSERT, UPDATE or DELETE policies: users can neither add nor alter them.
+-- The insert policy of earlier versions is dropped below.
+ALTER TABLE activity_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "activity_log_select" ON activity_log;
+DROP POLICY IF EXISTS "activity_log_insert_own" ON activity_log;
+
+CREATE POLICY "activity_log_select" ON activity_log
+  FOR SELECT USING (
+    auth.uid() = user_id OR
+    has_permission('audit.read_all') OR
+    (entity_type = 'opportunities' AND EXISTS (
+      SELECT 1 FROM opportunities WHERE opportunities.id = activity_log.entity_id
+    )) OR
+    (entity_type = 'bd_opportunities' AND EXISTS (
+      SELECT 1 FROM bd_opportunities WHERE bd_opportunities.id = activity_log.entity_id
+    ))
+  );
+
+-- Pipeline stages: every signed-in user reads them (the BD module renders from them);
+-- users with settings.manage change them
+ALTER TABLE pipeline_stages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "pipeline_stages_select" ON pipeline_stages;
+DROP POLICY IF EXISTS "pipeline_stages_admin_write" ON pipeline_stages;
+
+CREATE POLICY "pipeline_stages_select" ON pipeline_stages
+  FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "pipeline_stages_admin_write" ON pipeline_stages
+  FOR ALL
+  USING (has_permission('settings.manage'))
+  WITH CHECK (has_permission('settings.manage'));
+
+-- Stage history: written only by the record_bd_stage_change trigger; readable by
+-- anyone who can see the opportunity
+ALTER TABLE bd_stage_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "bd_stage_history_select" ON bd_stage_history;
+
+CREATE POLICY "bd_stage_history_select" ON bd_stage_history
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM bd_opportunities WHERE bd_opportunities.id = bd_stage_history.opportunity_id
+    )
+  );
+
+-- Loss reasons: every signed-in user reads them; users with settings.manage change them
+ALTER TABLE loss_reasons ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "loss_reasons_select" ON loss_reasons;
+DROP POLICY IF EXISTS "loss_reasons_admin_write" ON loss_reasons;
+
+CREATE POLICY "loss_reasons_select" ON loss_reasons
+  FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "loss_reasons_admin_write" ON loss_reasons
+  FOR ALL
+  USING (has_permission('settings.manage'))
+  WITH CHECK (has_permission('settings.manage'));
+
+-- Competitors: every signed-in user reads them, users with bd.write add them, users
+-- with settings.manage edit or delete them
+ALTER TABLE competitors ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "competitors_select" ON competitors;
+DROP POLICY IF EXISTS "competitors_insert_bd" ON competitors;
+DROP POLICY IF EXISTS "competitors_admin_write" ON competitors;
+
+CREATE POLICY "competitors_select" ON competitors
+  FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "competitors_insert_bd" ON competitors
+  FOR INSERT
+  WITH CHECK (has_permission('bd.write'));
+
+CREATE POLICY "competitors_admin_write" ON competitors
+  FOR ALL
+  USING (has_permission('settings.manage'))
+  WITH CHECK (has_permission('settings.manage'));
+
+-- Clients and contacts: every signed-in user reads them and adds them from the
+-- opportunity forms; users with clients.manage edit and delete contacts and edit
+-- clients (a rename is copied onto every linked opportunity), users with clients.delete
+-- delete clients
+ALTER TABLE clients ENABLE ROW LEVEL SECURITY;
+ALTER TABLE contacts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "clients_select" ON clients;
+DROP POLICY IF EXISTS "clients_insert" ON clients;
+DROP POLICY IF EXISTS "clients_update_bd" ON clients;
+DROP POLICY IF EXISTS "clients_delete_admin" ON clients;
+DROP POLICY IF EXISTS "contacts_select" ON contacts;
+DROP POLICY IF EXISTS "contacts_insert" ON contacts;
+DROP POLICY IF EXISTS "contacts_update" ON contacts;
+DROP POLICY IF EXISTS "contacts_delete_bd" ON contacts;
+
+CREATE POLICY "clients_select" ON clients
+  FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "clients_insert" ON clients
+  FOR INSERT WITH CHECK (auth.uid() IS NOT NULL);
+
+CREATE POLICY "clients_update_bd" ON clients
+  FOR UPDATE
+  USING (has_permission('clients.manage'));
+
+CREATE POLICY "clients_delete_admin" ON clients
+  FOR DELETE
+  USING (has_permission('clients.delete'));
+
+CREATE POLICY "contacts_select" ON contacts
+  FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "contacts_insert" ON contacts
+  FOR INSERT WITH CHECK (auth.uid() IS NOT NULL);
+
+CREATE POLICY "contacts_update" ON contacts
+  FOR UPDATE
+  USING (has_permission('clients.manage'))
+  WITH CHECK (has_permission('clients.manage'));
+
+CREATE POLICY "contacts_delete_bd" ON contacts
+  FOR DELETE
+  USING (has_permission('clients.manage'));
+
+-- merge_clients() checks the caller's permissions itself; signed-in users only
+REVOKE EXECUTE ON FUNCTION merge_clients(UUID, UUID[]) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION merge_clients(UUID, UUID[]) TO authenticated;
+
+-- Opportunity merges check the caller's permissions and ownership themselves; signed-in users only
+REVOKE EXECUTE ON FUNCTION merge_opportunities(UUID, UUID) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION merge_bd_opportunities(UUID, UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION merge_opportunities(UUID, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION merge_bd_opportunities(UUID, UUID) TO authenticated;
+
+-- Tasks: seen and updated by their assignee and creator, and by users with
+-- tasks.read_all; deleted by their creator or users with tasks.delete_all. Users only
+-- add tasks to opportunities they can see themselves
+ALTER TABLE tasks ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "tasks_select" ON tasks;
+DROP POLICY IF EXISTS "tasks_insert" ON tasks;
+DROP POLICY IF EXISTS "tasks_update" ON tasks;
+DROP POLICY IF EXISTS "tasks_delete" ON tasks;
+
+CREATE POLICY "tasks_select" ON tasks
+  FOR SELECT USING (
+    auth.uid() = assigned_to OR
+    auth.uid() = created_by OR
+    has_permission('tasks.read_all')
+  );
+
+CREATE POLICY "tasks_insert" ON tasks
+  FOR INSERT WITH CHECK (
+    auth.uid() = created_by AND (
+      (entity_type = 'opportunities' AND EXISTS (
+        SELECT 1 FROM opportunities WHERE opportunities.id = tasks.entity_id
+      )) OR
+      (entity_type = 'bd_opportunities' AND EXISTS (
+        SELECT 1 FROM bd_opportunities WHERE bd_opportunities.id = tasks.entity_id
+      ))
+    )
+  );
+
+CREATE POLICY "tasks_update" ON tasks
+  FOR UPDATE USING (
+    auth.uid() = assigned_to OR
+    auth.uid() = created_by OR
+    has_permission('tasks.read_all')
+  );
+
+CREATE POLICY "tasks_delete" ON tasks
   FOR DELETE USING (
-    auth.uid()::text = user_id::text OR 
-    auth.uid()::text = assigned_to::text
+    auth.uid() = created_by OR
+    has_permission('tasks.delete_all')
   );
 
+-- Roles and permissions: every signed-in user reads them (the front end builds its
+-- navigation from them); users with users.manage change them
+ALTER TABLE roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE permissions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE role_permissions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "roles_select" ON roles;
+DROP POLICY IF EXISTS "roles_manage" ON roles;
+DROP POLICY IF EXISTS "permissions_select" ON permissions;
+DROP POLICY IF EXISTS "role_permissions_select" ON role_permissions;
+DROP POLICY IF EXISTS "role_permissions_manage" ON role_permissions;
+
+CREATE POLICY "roles_select" ON roles
+  FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "roles_manage" ON roles
+  FOR ALL
+  USING (has_permission('users.manage'))
+  WITH CHECK (has_permission('users.manage'));
+
+CREATE POLICY "permissions_select" ON permissions
+  FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "role_permissions_select" ON role_permissions
+  FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "role_permissions_manage" ON role_permissions
+  FOR ALL
+  USING (has_permission('users.manage'))
+  WITH CHECK (has_permission('users.manage'));
+
+-- Teams: every signed-in user reads them (dashboard totals); users with users.manage
+-- change them
+ALTER TABLE teams ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "teams_select" ON teams;
+DROP POLICY IF EXISTS "teams_manage" ON teams;
+
+CREATE POLICY "teams_select" ON teams
+  FOR SELECT USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "teams_manage" ON teams
+  FOR ALL
+  USING (has_permission('users.manage'))
+  WITH CHECK (has_permission('users.manage'));
+
+-- Webhook events, digest runs and calendar feed tokens: only the server (service role)
+-- reads and writes here; no user access
+ALTER TABLE webhook_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE digest_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE calendar_feeds ENABLE ROW LEVEL SECURITY;
+
 -- =====================================================
 -- 4. ADMIN ROLE PROTECTION
 -- =====================================================
 
--- CORRECTED: Function to safely promote users to admin (must be called by existing admin)
+-- CORRECTED: Function to safely promote users to admin (must be called by a user manager)
 CREATE OR REPLACE FUNCTION promote_to_admin(target_user_id UUID)
 RETURNS BOOLEAN AS $$
-DECLARE
-  current_user_role TEXT;
 BEGIN
-  -- Check if current user is admin
-  SELECT role INTO current_user_role 
-  FROM profiles 
-  WHERE user_id = auth.uid();
-  
-  IF current_user_role != 'admin' THEN
+  -- Check if current user manages users
+  IF NOT has_permission('users.manage') THEN
     RAISE EXCEPTION 'Only administrators can promote users to admin role';
   END IF;
   
@@ -201,7 +459,7 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
 -- Verify role constraints
 SELECT constraint_name, constraint_type 
 FROM information_schema.table_constraints 
-WHERE table_name = 'profiles' AND constraint_type = 'CHECK';
+WHERE table_name = 'profiles' AND constraint_type = 'FOREIGN KEY';
 
 -- Verify triggers
 SELECT trigger_name, event_manipulation, action_timing 
@@ -211,7 +469,7 @@ WHERE event_object_table = 'users' AND trigger_schema = 'auth';
 -- Verify RLS policies
 SELECT schemaname, tablename, policyname, permissive, roles, cmd 
 FROM pg_policies 
-WHERE tablename IN ('profiles', 'opportunities', 'bd_opportunities')
+WHERE tablename IN ('profiles', 'opportunities', 'bd_opportunities', 'notification_rules', 'notification_outbox', 'activity_log', 'pipeline_stages', 'bd_stage_history', 'loss_reasons', 'competitors', 'clients', 'contacts', 'tasks', 'calendar_feeds', 'roles', 'permissions', 'role_permissions', 'teams')
 ORDER BY tablename, policyname;
 
 -- =====================================================
@@ -0,0 +1,149 @@
+/**
+ * VIFM Duplicate Check
+ * Asks the server (/api/duplicates) whether opportunities look like leads that are
+ * already in the portal - entered by another consultant, or already imported into the
+ * BD pipeline - and warns before a new one is saved. The warning lists the matches and
+ * lets the user save anyway, cancel, or merge the new details into a matching
+ * opportunity they can edit instead.
+ *
+ * Requires supabase.js. Pages provide the warning modal: an element with id
+ * "duplicateModal" (class "modal") containing one with id "duplicateContent".
+ */
+
+window.VIFMDuplicates = {
+    pendingChoice: null,
+    batchSize: 500, // records per check request (the server's limit)
+
+    async request(url, options = {}) {
+        const session = await window.VIFMSupabase.Auth.getSession();
+        if (!session?.access_token) throw new Error('Session expired - please sign in again');
+
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${session.access_token}`
+            }
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(body.error || `Request failed (${response.status})`);
+        return body;
+    },
+
+    // Likely duplicates in table of each record: one list of matches per record.
+    // sourceTable is the table the records come from when it is not table itself.
+    async check(table, records, { sourceTable } = {}) {
+        const results = [];
+        for (let i = 0; i < records.length; i += this.batchSize) {
+            const body = await this.request('/api/duplicates/check', {
+                method: 'POST',
+                body: JSON.stringify({ table, source_table: sourceTable || table, records: records.slice(i, i + this.batchSize) })
+            });
+            results.push(...body.data);
+        }
+        return results;
+    },
+
+    // Matches on opportunities the user cannot see come back as { id, own, reasons } only
+    isHidden(match) {
+        return !('client' in match);
+    },
+
+    // BD and admin: every pair of likely duplicates in table
+    async findPairs(table) {
+        const body = await this.request(`/api/duplicates?table=${encodeURIComponent(table)}`);
+        return body.data;
+    },
+
+    // Merge duplicateId into keepId; the duplicate is deleted
+    async merge(table, keepId, duplicateId) {
+        return this.request('/api/duplicates/merge', {
+            method: 'POST',
+            body: JSON.stringify({ table, keep_id: keepId, duplicate_id: duplicateId })
+        });
+    },
+
+    // ==================================================
+    // SAVE WARNING
+    // ==================================================
+
+    // Before saving a new record: resolves 'save' when there is nothing to warn about
+    // or the user saves anyway, 'cancel', or { merge: match } to merge into a match.
+    // canMerge(match) says which matches can be merged into (default: the user's own).
+    // A failed check never blocks the save.
+    async confirmSave(table, record, { canMerge = match => match.own } = {}) {
+        let matches;
+        try {
+            [matches] = await this.check(table, [record]);
+        } catch (error) {
+            console.warn('⚠️ Duplicate check skipped:', error.message);
+            return 'save';
+        }
+        if (!matches || matches.length === 0) return 'save';
+
+        this.renderWarning(matches, canMerge);
+        document.getElementById('duplicateModal').classList.add('show');
+        return new Promise(resolve => {
+            this.pendingChoice = { resolve, matches };
+        });
+    },
+
+    // Answer the open warning: 'save', 'cancel' or the index of the match to merge into
+    choose(choice) {
+        if (!this.pendingChoice) return;
+        const { resolve, matches } = this.pendingChoice;
+        this.pendingChoice = null;
+        document.getElementById('duplicateModal').classList.remove('show');
+        resolve(typeof choice === 'number' ? { merge: matches[choice] } : choice);
+    },
+
+    renderWarning(matches, canMerge) {
+        const escape = window.VIFMClientPicker?.escape || (text => String(text ?? ''));
+        const formatDate = date => date ? new Date(date).toLocaleDateString() : '-';
+
+        document.getElementById('duplicateContent').innerHTML = `
+            <p class="duplicate-intro">This looks like ${matches.length === 1 ? 'an opportunity that is' : 'opportunities that are'} already in the portal:</p>
+            ${matches.map((match, index) => `
+                <div class="duplicate-entry">
+                    ${this.isHidden(match) ? `
+                        <strong>Another user's opportunity</strong>
+                        <div class="duplicate-details">You do not have access to its details</div>
+                    ` : `
+                        <strong>${escape(match.client || '-')}</strong> - ${escape(match.course_title || '-')}
+                        <div class="duplicate-details">
+                            ${escape(match.owner || 'Unassigned')} · ${escape(match.status || '-')} · ${formatDate(match.date)}
+                            ${match.own ? ' · <em>yours</em>' : ''}
+                        </div>
+                    `}
+                    <div class="duplicate-reasons">${match.reasons.map(reason => escape(reason)).join(' · ')}</div>
+                    ${canMerge(match) ? `
+                        <div class="duplicate-actions">
+                            <button type="button" class="btn btn-warning" onclick="VIFMDuplicates.choose(${index})">Merge into this</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `).join('')}
+            <div class="duplicate-actions">
+                <button type="button" class="btn btn-primary" onclick="VIFMDuplicates.choose('save')">Save anyway</button>
+                <button type="button" class="btn btn-secondary" onclick="VIFMDuplicates.choose('cancel')">Cancel</button>
+            </div>
+        `;
+    },
+
+    // The record to save when merging incoming into existing: existing values win,
+    // blanks are filled from incoming, and notesField keeps both sets of notes
+    mergeRecords(existing, incoming, notesField) {
+        const isBlank = value => value === null || value === undefined || value === '' ||
+            (Array.isArray(value) && value.length === 0);
+
+        const merged = {};
+        Object.keys(incoming).forEach(field => {
+            merged[field] = isBlank(existing[field]) ? incoming[field] : existing[field];
+        });
+
+        const notes = [existing[notesField], incoming[notesField]].filter(note => !isBlank(note));
+        merged[notesField] = notes.length === 2 && notes[0] !== notes[1] ? notes.join('\n\n') : (notes[0] || null);
+        merged.id = existing.id;
+        return merged;
+    }
+};
@@ -0,0 +1,206 @@
+/**
+ * VIFM Portal - Duplicate Detection
+ * Finds opportunities that are probably the same lead entered twice: by two consultants,
+ * or imported into the BD pipeline more than once. Used by the /api/duplicates routes.
+ *
+ * Two opportunities match when
+ *   - they are for the same client (same client_id, or names at least 85% alike once
+ *     punctuation and legal suffixes such as LLC are removed) or the same contact email,
+ *   - their course titles are at least 60% alike, and
+ *   - their dates (course date / expected close date, else the date entered) are within
+ *     the window, 30 days by default. Dates are not compared across the two tables.
+ * A BD opportunity imported from a consultant opportunity always matches it, as do two
+ * BD opportunities imported from the same one.
+ *
+ * Names are compared with the Dice coefficient of their letter pairs, so small spelling
+ * differences ("Emirates NBD" / "Emirate NBD PJSC") still match.
+ */
+
+const DUPLICATE_TABLES = {
+  opportunities: {
+    client: 'client_company', email: 'delegate_email', contact: 'delegate_name', date: 'course_date', owner: 'consultant_name',
+    columns: 'id, client_id, client_company, course_title, delegate_name, delegate_email, course_date, consultant_name, status, created_by, created_at'
+  },
+  bd_opportunities: {
+    client: 'client', email: 'contact_email', contact: 'primary_contact', date: 'expected_close_date', owner: 'bd_prof',
+    columns: 'id, client_id, client, course_title, primary_contact, contact_email, expected_close_date, bd_prof, pipeline_stage, source_opportunity_id, created_by, created_at'
+  }
+};
+
+const CLIENT_THRESHOLD = 0.85;
+const COURSE_THRESHOLD = 0.6;
+const DEFAULT_WINDOW_DAYS = 30;
+const MAX_MATCHES = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words that do not tell two companies apart
+const COMPANY_STOP_WORDS = new Set([
+  'the', 'llc', 'l', 'c', 'ltd', 'limited', 'fze', 'fzco', 'fzc', 'fz', 'pjsc', 'psc', 'pjs', 'co', 'company',
+  'inc', 'corp', 'corporation', 'plc', 'est', 'establishment', 'group', 'holding', 'holdings'
+]);
+
+// ==================================================
+// SIMILARITY
+// ==================================================
+
+function normalizeText(text) {
+  return (text || '').toString().toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9\u0600-\u06ff]+/g, ' ').trim();
+}
+
+function normalizeCompany(name) {
+  const words = normalizeText(name).split(' ').filter(word => word && !COMPANY_STOP_WORDS.has(word));
+  return words.join(' ') || normalizeText(name);
+}
+
+function letterPairs(text) {
+  const pairs = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const pair = text.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+}
+
+// Dice coefficient of two normalized strings' letter pairs, 0..1
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const pairsB = letterPairs(b);
+  let shared = 0;
+  letterPairs(a).forEach((count, pair) => {
+    shared += Math.min(count, pairsB.get(pair) || 0);
+  });
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+// ==================================================
+// MATCHING
+// ==================================================
+
+// The fields compared, from a row of either table
+function toComparable(table, row) {
+  const columns = DUPLICATE_TABLES[table];
+  const date = row[columns.date] || row.created_at || null;
+  return {
+    table,
+    row,
+    id: row.id,
+    client_id: row.client_id || null,
+    client: normalizeCompany(row[columns.client]),
+    course: normalizeText(row.course_title),
+    email: (row[columns.email] || '').toString().trim().toLowerCase(),
+    time: date ? new Date(date).getTime() : null,
+    source_id: row.source_opportunity_id || null
+  };
+}
+
+// Why a and b look like the same lead: { score, reasons } or null when they do not
+function compare(a, b, windowDays) {
+  if (a.table === 'opportunities' && b.source_id && b.source_id === a.id) {
+    return { score: 100, imported: true, reasons: ['Already imported into the BD pipeline'] };
+  }
+  if (a.source_id && a.source_id === b.source_id) {
+    return { score: 100, imported: true, reasons: ['Imported from the same consultant opportunity'] };
+  }
+
+  const clientScore = a.client_id && a.client_id === b.client_id ? 1 : similarity(a.client, b.client);
+  const sameEmail = Boolean(a.email) && a.email === b.email;
+  if (clientScore < CLIENT_THRESHOLD && !sameEmail) return null;
+
+  const courseScore = similarity(a.course, b.course);
+  if (courseScore < COURSE_THRESHOLD) return null;
+
+  let gapDays = null;
+  if (a.table === b.table && a.time !== null && b.time !== null) {
+    gapDays = Math.round(Math.abs(a.time - b.time) / DAY_MS);
+    if (windowDays !== null && gapDays > windowDays) return null;
+  }
+
+  const percent = value => Math.round(value * 100);
+  const reasons = [];
+  if (clientScore >= CLIENT_THRESHOLD) {
+    reasons.push(clientScore === 1 ? 'Same client' : `Similar client name (${percent(clientScore)}%)`);
+  }
+  if (sameEmail) reasons.push('Same contact email');
+  reasons.push(courseScore === 1 ? 'Same course' : `Similar course title (${percent(courseScore)}%)`);
+  if (gapDays !== null) reasons.push(gapDays === 0 ? 'Same date' : `Dates ${gapDays} day${gapDays === 1 ? '' : 's'} apart`);
+
+  // Below 100, which is kept for imports
+  const score = Math.min(percent((Math.max(clientScore, sameEmail ? 1 : 0) + courseScore) / 2), 99);
+  return { score, imported: false, reasons };
+}
+
+// What callers are shown about a matching row
+function summarize(table, row) {
+  const columns = DUPLICATE_TABLES[table];
+  return {
+    id: row.id,
+    table,
+    client: row[columns.client] || '',
+    course_title: row.course_title || '',
+    contact: row[columns.contact] || '',
+    owner: row[columns.owner] || '',
+    date: row[columns.date] || null,
+    status: row.pipeline_stage || row.status || null,
+    created_by: row.created_by || null,
+    created_at: row.created_at || null
+  };
+}
+
+// Likely duplicates of record (a row of recordTable) among candidates (rows of
+// candidateTable), best match first
+function findMatches(record, candidates, { recordTable, candidateTable, windowDays = DEFAULT_WINDOW_DAYS } = {}) {
+  const subject = toComparable(recordTable, record);
+
+  return candidates
+    .filter(candidate => !(recordTable === candidateTable && record.id && candidate.id === record.id))
+    .map(candidate => ({ candidate, match: compare(subject, toComparable(candidateTable, candidate), windowDays) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.score - a.match.score)
+    .slice(0, MAX_MATCHES)
+    .map(({ candidate, match }) => ({ ...summarize(candidateTable, candidate), ...match }));
+}
+
+// Every pair of likely duplicates within one table, best first. Only rows whose client
+// names start alike or share a contact email are compared, to keep large tables fast.
+function findDuplicatePairs(rows, { table, windowDays = DEFAULT_WINDOW_DAYS } = {}) {
+  const items = rows.map(row => toComparable(table, row));
+  const blocks = new Map();
+  items.forEach(item => {
+    [`c:${item.client.slice(0, 3)}`, item.email && `e:${item.email}`, item.source_id && `s:${item.source_id}`]
+      .filter(Boolean)
+      .forEach(key => {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(item);
+      });
+  });
+
+  const pairs = new Map();
+  blocks.forEach(block => {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const [a, b] = [block[i], block[j]].sort((x, y) => (x.row.created_at || '').localeCompare(y.row.created_at || ''));
+        const key = `${a.id}:${b.id}`;
+        if (pairs.has(key)) continue;
+
+        const match = compare(a, b, windowDays);
+        if (match) {
+          pairs.set(key, { first: summarize(table, a.row), second: summarize(table, b.row), ...match });
+        }
+      }
+    }
+  });
+
+  return [...pairs.values()].sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  DUPLICATE_TABLES,
+  DEFAULT_WINDOW_DAYS,
+  normalizeCompany,
+  similarity,
+  findMatches,
+  findDuplicatePairs
+};
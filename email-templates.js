@@ -0,0 +1,180 @@
+/**
+ * VIFM Portal - Email Templates
+ * Renders the notification emails sent by server.js from the files in email-templates/.
+ *
+ * templates.json lists each template with its subject, heading, description and sample
+ * data (used by the admin preview). Each template has an .html and a .txt body which
+ * are wrapped in layout.html / layout.txt. Files are read on every render, so wording
+ * can be changed without restarting the server.
+ *
+ * Template syntax (a small subset of Mustache):
+ *   {{name}}            value, HTML-escaped in .html templates
+ *   {{{name}}}          value, not escaped
+ *   {{#name}}..{{/name}}  rendered when name is truthy; repeated for each item of an array
+ *   {{^name}}..{{/name}}  rendered when name is falsy or an empty array
+ *   {{.}}               the current item inside a section
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, 'email-templates');
+
+// ==================================================
+// TEMPLATE ENGINE
+// ==================================================
+
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^\/]?)\s*([\w.]+)\s*\}\}/g;
+
+function escapeHtml(text) {
+  if (text === null || text === undefined) return '';
+  return text
+    .toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// Parse a template into a tree of text, variable and section nodes
+function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.children.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    if (match[1]) {
+      current.children.push({ type: 'var', name: match[1], raw: true });
+    } else if (match[2] === '#' || match[2] === '^') {
+      const section = { type: 'section', name: match[3], inverted: match[2] === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (match[2] === '/') {
+      if (stack.length === 1 || current.name !== match[3]) {
+        throw new Error(`Unexpected closing tag {{/${match[3]}}}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'var', name: match[3], raw: false });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+  }
+  if (lastIndex < source.length) {
+    root.children.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+  return root.children;
+}
+
+// Find a (possibly dotted) name, searching from the innermost context outwards
+function lookup(name, contexts) {
+  if (name === '.') return contexts[contexts.length - 1];
+
+  const [first, ...rest] = name.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context && typeof context === 'object' && first in context) {
+      return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[first]);
+    }
+  }
+  return undefined;
+}
+
+function renderNodes(nodes, contexts, escape) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    const value = lookup(node.name, contexts);
+    if (node.type === 'var') {
+      if (value === null || value === undefined) return '';
+      return node.raw ? String(value) : escape(value);
+    }
+
+    const isEmpty = !value || (Array.isArray(value) && value.length === 0);
+    if (node.inverted) {
+      return isEmpty ? renderNodes(node.children, contexts, escape) : '';
+    }
+    if (isEmpty) return '';
+    if (Array.isArray(value)) {
+      return value.map(item => renderNodes(node.children, contexts.concat([item]), escape)).join('');
+    }
+    return renderNodes(node.children, typeof value === 'object' ? contexts.concat([value]) : contexts, escape);
+  }).join('');
+}
+
+// Render a template string with data. HTML templates escape {{values}}; text ones do not.
+function renderString(source, data, { html = true } = {}) {
+  return renderNodes(parseTemplate(source), [data], html ? escapeHtml : value => String(value));
+}
+
+// ==================================================
+// TEMPLATE FILES
+// ==================================================
+
+function readTemplateFile(fileName) {
+  return fs.promises.readFile(path.join(TEMPLATE_DIR, fileName), 'utf8');
+}
+
+async function loadManifest() {
+  return JSON.parse(await readTemplateFile('templates.json'));
+}
+
+// List templates for the admin preview
+async function listTemplates() {
+  const manifest = await loadManifest();
+  return Object.entries(manifest).map(([name, template]) => ({
+    name,
+    description: template.description || ''
+  }));
+}
+
+// Render a named template to { subject, html, text }
+async function renderEmail(name, data = {}) {
+  const manifest = await loadManifest();
+  const template = manifest[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const [htmlBody, textBody, htmlLayout, textLayout] = await Promise.all([
+    readTemplateFile(`${name}.html`),
+    readTemplateFile(`${name}.txt`),
+    readTemplateFile('layout.html'),
+    readTemplateFile('layout.txt')
+  ]);
+
+  const heading = renderString(template.heading || '', data, { html: false });
+
+  return {
+    subject: renderString(template.subject, data, { html: false }).trim(),
+    html: renderString(htmlLayout, { heading, content: renderString(htmlBody, data) }),
+    text: renderString(textLayout, { heading, content: renderString(textBody, data, { html: false }).trim() }, { html: false })
+  };
+}
+
+// Render a template with the sample data from templates.json
+async function renderPreview(name) {
+  const manifest = await loadManifest();
+  if (!manifest[name]) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return renderEmail(name, manifest[name].sample || {});
+}
+
+module.exports = {
+  listTemplates,
+  renderEmail,
+  renderPreview,
+  renderString
+};
@@ -0,0 +1,186 @@
+/**
+ * VIFM Portal - Revenue Forecast
+ * Turns BD opportunities into a weighted pipeline forecast, grouped by close period,
+ * BD professional, consultant and client. Used by GET /api/reports/forecast.
+ *
+ * Figures for each group:
+ *   pipeline   estimated_budget of open deals (stages in the 'open' state)
+ *   weighted   estimated_budget x probability of open deals
+ *   forecast   estimated_budget x probability of every deal in the group, including the
+ *              ones since won or lost - what the pipeline predicted
+ *   won        estimated_budget of deals in a 'won' stage - the actual result
+ * Deals are placed in a period by expected_close_date; deals without one are "Unscheduled".
+ */
+
+const { DEFAULT_PIPELINE_STAGES, findStage } = require('./pipeline-stages');
+
+const FORECAST_INTERVALS = ['month', 'quarter'];
+const FORECAST_GROUPS = {
+  periods: 'Period',
+  by_bd_prof: 'BD Professional',
+  by_consultant: 'Consultant',
+  by_client: 'Client'
+};
+const UNSCHEDULED = 'unscheduled';
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// ==================================================
+// PERIODS
+// ==================================================
+
+// '2025-03-14' -> '2025-03' (month) or '2025-Q1' (quarter)
+function getPeriodKey(date, interval) {
+  const match = date ? String(date).match(/^(\d{4})-(\d{2})/) : null;
+  if (!match) return UNSCHEDULED;
+
+  const year = match[1];
+  const month = Number(match[2]);
+  return interval === 'quarter' ? `${year}-Q${Math.ceil(month / 3)}` : `${year}-${match[2]}`;
+}
+
+function getPeriodLabel(key) {
+  if (key === UNSCHEDULED) return 'Unscheduled';
+
+  const quarter = key.match(/^(\d{4})-Q(\d)$/);
+  if (quarter) return `Q${quarter[2]} ${quarter[1]}`;
+
+  const [year, month] = key.split('-');
+  return `${MONTH_NAMES[Number(month) - 1]} ${year}`;
+}
+
+function getNextPeriodKey(key, interval) {
+  if (interval === 'quarter') {
+    const [, year, quarter] = key.match(/^(\d{4})-Q(\d)$/).map(Number);
+    return quarter === 4 ? `${year + 1}-Q1` : `${year}-Q${quarter + 1}`;
+  }
+  const [year, month] = key.split('-').map(Number);
+  return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+}
+
+// ==================================================
+// TOTALS
+// ==================================================
+
+function emptyTotals() {
+  return { count: 0, open_count: 0, won_count: 0, lost_count: 0, pipeline: 0, weighted: 0, forecast: 0, won: 0 };
+}
+
+function addToTotals(totals, opportunity, stages) {
+  const budget = Number(opportunity.estimated_budget) || 0;
+  const probability = Math.min(Math.max(Number(opportunity.probability) || 0, 0), 100) / 100;
+  const state = findStage(stages, opportunity.pipeline_stage)?.state;
+
+  totals.count++;
+  totals.forecast += budget * probability;
+
+  if (state === 'open') {
+    totals.open_count++;
+    totals.pipeline += budget;
+    totals.weighted += budget * probability;
+  } else if (state === 'won') {
+    totals.won_count++;
+    totals.won += budget;
+  } else if (state === 'lost') {
+    totals.lost_count++;
+  }
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Round amounts and add variance (won - forecast) and attainment (won as % of forecast)
+function finishTotals(totals) {
+  ['pipeline', 'weighted', 'forecast', 'won'].forEach(field => {
+    totals[field] = roundAmount(totals[field]);
+  });
+  totals.variance = roundAmount(totals.won - totals.forecast);
+  totals.attainment = totals.forecast > 0 ? Math.round((totals.won / totals.forecast) * 1000) / 10 : null;
+  return totals;
+}
+
+// Group opportunities by a key; returns [{ key, label, ...totals }]
+function groupTotals(opportunities, stages, getKey, getLabel = key => key) {
+  const groups = new Map();
+
+  opportunities.forEach(opportunity => {
+    const key = getKey(opportunity);
+    if (!groups.has(key)) {
+      groups.set(key, emptyTotals());
+    }
+    addToTotals(groups.get(key), opportunity, stages);
+  });
+
+  return [...groups.entries()].map(([key, totals]) => ({ key, label: getLabel(key), ...finishTotals(totals) }));
+}
+
+// ==================================================
+// FORECAST
+// ==================================================
+
+// stages: the configured pipeline stages, which decide what counts as open, won or lost
+function buildForecast(opportunities, { interval = 'month', stages = DEFAULT_PIPELINE_STAGES } = {}) {
+  const rows = opportunities || [];
+  const totals = emptyTotals();
+  rows.forEach(opportunity => addToTotals(totals, opportunity, stages));
+
+  // Periods in date order with no gaps (so charts show empty months), unscheduled last
+  const periods = groupTotals(rows, stages, opportunity => getPeriodKey(opportunity.expected_close_date, interval), getPeriodLabel);
+  const scheduled = periods.filter(period => period.key !== UNSCHEDULED).sort((a, b) => a.key.localeCompare(b.key));
+  const filled = [];
+  if (scheduled.length > 0) {
+    const byKey = new Map(scheduled.map(period => [period.key, period]));
+    const lastKey = scheduled[scheduled.length - 1].key;
+    for (let key = scheduled[0].key; ; key = getNextPeriodKey(key, interval)) {
+      filled.push(byKey.get(key) || { key, label: getPeriodLabel(key), ...finishTotals(emptyTotals()) });
+      if (key === lastKey) break;
+    }
+  }
+  filled.push(...periods.filter(period => period.key === UNSCHEDULED));
+
+  const byName = field => groupTotals(rows, stages, opportunity => (opportunity[field] || '').toString().trim() || 'Unassigned')
+    .sort((a, b) => b.weighted - a.weighted || b.won - a.won || a.label.localeCompare(b.label));
+
+  return {
+    interval,
+    totals: finishTotals(totals),
+    periods: filled,
+    by_bd_prof: byName('bd_prof'),
+    by_consultant: byName('consultant_name'),
+    by_client: byName('client')
+  };
+}
+
+// ==================================================
+// CSV
+// ==================================================
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = value.toString();
+  // Spreadsheets run text cells starting with these as formulas; numbers (negative variance) stay as-is
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One forecast grouping (periods, by_bd_prof, by_consultant, by_client) as CSV
+function forecastToCsv(forecast, group = 'periods') {
+  const headers = [
+    FORECAST_GROUPS[group], 'Opportunities', 'Open', 'Won', 'Lost', 'Pipeline (AED)',
+    'Weighted (AED)', 'Forecast (AED)', 'Closed Won (AED)', 'Variance (AED)', 'Attainment %'
+  ];
+
+  const lines = forecast[group].map(row => [
+    row.label, row.count, row.open_count, row.won_count, row.lost_count, row.pipeline,
+    row.weighted, row.forecast, row.won, row.variance, row.attainment
+  ].map(csvValue).join(','));
+
+  return [headers.map(csvValue).join(','), ...lines].join('\n');
+}
+
+module.exports = {
+  FORECAST_INTERVALS,
+  FORECAST_GROUPS,
+  buildForecast,
+  forecastToCsv
+};
@@ -0,0 +1,470 @@
+/**
+ * VIFM Import Wizard
+ * Imports opportunities from a CSV or Excel file in four steps: pick the file, match its
+ * columns to opportunity fields, check the rows (errors and likely duplicates are listed
+ * before anything is saved), then save them in batches and show what happened to each
+ * row. The server checks every row again as it saves it (/api/import).
+ *
+ * Requires supabase.js; Excel files also need SheetJS (window.XLSX). Pages provide the
+ * modal: an element with id "importWizardModal" (class "modal") containing one with id
+ * "importWizardContent".
+ */
+
+window.VIFMImport = {
+    table: null,
+    fields: [],
+    maxRows: 500, // rows per check request (the server's limit)
+    importBatchSize: 100, // rows per save request, so progress can be shown
+    fileName: '',
+    headers: [],
+    rows: [], // { line, cells } - line is the row number in the file
+    mapping: {}, // field -> column index
+    checks: new Map(), // line -> { errors, duplicates, file_duplicates }
+    results: [],
+    onComplete: null,
+
+    async request(url, options = {}) {
+        const session = await window.VIFMSupabase.Auth.getSession();
+        if (!session?.access_token) throw new Error('Session expired - please sign in again');
+
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${session.access_token}`
+            }
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(body.error || `Request failed (${response.status})`);
+        return body;
+    },
+
+    // Start an import into table ('opportunities' or 'bd_opportunities').
+    // onComplete runs after rows were saved, to reload the page's data.
+    async open(table, { onComplete } = {}) {
+        Object.assign(this, { table, onComplete, fileName: '', headers: [], rows: [], mapping: {}, checks: new Map(), results: [] });
+        this.setContent('<p>Loading...</p>');
+        document.getElementById('importWizardModal').classList.add('show');
+
+        try {
+            const body = await this.request(`/api/import/${table}/fields`);
+            this.fields = body.data;
+            this.maxRows = body.max_rows || this.maxRows;
+            this.renderFileStep();
+        } catch (error) {
+            console.error('❌ Error starting import:', error);
+            this.setContent(`<p class="no-data">Import is not available: ${this.escape(error.message)}</p>`);
+        }
+    },
+
+    close() {
+        document.getElementById('importWizardModal').classList.remove('show');
+    },
+
+    setContent(html) {
+        document.getElementById('importWizardContent').innerHTML = html;
+    },
+
+    // ==================================================
+    // STEP 1: FILE
+    // ==================================================
+
+    renderFileStep() {
+        const required = this.fields.filter(field => field.required).map(field => field.label);
+        this.setContent(`
+            <div class="import-steps">${this.renderSteps(1)}</div>
+            <p class="import-help">Choose a CSV or Excel (.xlsx) file with one opportunity per row and column headings in the first row.
+                ${required.join(' and ')} are required; the other columns are optional. A file exported from this module can be imported as it is.</p>
+            <input type="file" id="importFile" accept=".csv,.xlsx,.xls,text/csv" onchange="VIFMImport.readFile(this.files[0])">
+            <p class="import-help">Dates can be written as 2025-03-14 or 14/03/2025 (day first).</p>
+        `);
+    },
+
+    async readFile(file) {
+        if (!file) return;
+        this.fileName = file.name;
+
+        try {
+            let table;
+            if (/\.xlsx?$/i.test(file.name)) {
+                if (!window.XLSX) throw new Error('Excel support did not load - save the file as CSV and try again');
+                const workbook = window.XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+                const sheet = workbook.Sheets[workbook.SheetNames[0]];
+                table = window.XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, dateNF: 'yyyy-mm-dd', defval: '', blankrows: true });
+            } else {
+                table = this.parseCsv(await file.text());
+            }
+
+            // The first row with anything in it holds the headings
+            const rows = table.map((cells, index) => ({ line: index + 1, cells: cells.map(cell => String(cell ?? '').trim()) }))
+                .filter(row => row.cells.some(Boolean));
+            if (rows.length < 2) throw new Error('The file has no rows under its headings');
+
+            this.headers = rows[0].cells;
+            this.rows = rows.slice(1);
+            this.mapping = this.guessMapping();
+            this.renderMappingStep();
+        } catch (error) {
+            console.error('❌ Error reading import file:', error);
+            alert('Could not read the file: ' + error.message);
+        }
+    },
+
+    // Rows of cells from CSV text. The separator (comma, semicolon or tab) is taken from
+    // the first line; quoted cells may hold separators, quotes ("") and line breaks.
+    parseCsv(text) {
+        text = text.replace(/^\uFEFF/, '');
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const separator = [',', ';', '\t'].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    },
+
+    // ==================================================
+    // STEP 2: COLUMNS
+    // ==================================================
+
+    // Match headings to fields by field name, label or a common alternative name
+    guessMapping() {
+        const normalize = text => text.toLowerCase().replace(/[^a-z0-9%]+/g, ' ').trim();
+        const headings = this.headers.map(normalize);
+        const mapping = {};
+        const used = new Set();
+
+        this.fields.forEach(field => {
+            const names = [field.field.replace(/_/g, ' '), field.label, ...field.aliases].map(normalize);
+            const index = headings.findIndex((heading, i) => !used.has(i) && names.includes(heading));
+            if (index !== -1) {
+                mapping[field.field] = index;
+                used.add(index);
+            }
+        });
+        return mapping;
+    },
+
+    renderMappingStep() {
+        const sample = this.rows[0].cells;
+        this.setContent(`
+            <div class="import-steps">${this.renderSteps(2)}</div>
+            <p class="import-help"><strong>${this.escape(this.fileName)}</strong>: ${this.rows.length} row(s). Choose the column that holds each field.</p>
+            <table class="import-table">
+                <thead><tr><th>Field</th><th>Column in the file</th><th>First row</th></tr></thead>
+                <tbody>
+                    ${this.fields.map(field => `
+                        <tr>
+                            <td>${this.escape(field.label)}${field.required ? ' <span class="import-required">*</span>' : ''}</td>
+                            <td>
+                                <select data-field="${field.field}" onchange="VIFMImport.updateSample(this)">
+                                    <option value="">- Not imported -</option>
+                                    ${this.headers.map((header, index) => `
+                                        <option value="${index}" ${this.mapping[field.field] === index ? 'selected' : ''}>${this.escape(header || `Column ${index + 1}`)}</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                            <td class="import-sample" id="importSample_${field.field}">${this.escape(sample[this.mapping[field.field]] ?? '')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="import-actions">
+                <button type="button" class="btn btn-secondary" onclick="VIFMImport.renderFileStep()">Back</button>
+                <button type="button" class="btn btn-primary" id="importCheckBtn" onclick="VIFMImport.checkRows()">Check rows</button>
+            </div>
+        `);
+    },
+
+    updateSample(select) {
+        const value = select.value === '' ? '' : this.rows[0].cells[Number(select.value)];
+        document.getElementById(`importSample_${select.dataset.field}`).textContent = value ?? '';
+    },
+
+    readMapping() {
+        this.mapping = {};
+        document.querySelectorAll('#importWizardContent select[data-field]').forEach(select => {
+            if (select.value !== '') this.mapping[select.dataset.field] = Number(select.value);
+        });
+    },
+
+    // A row's values keyed by field, as the server expects them
+    toImportRow(row) {
+        const values = {};
+        Object.entries(this.mapping).forEach(([field, index]) => {
+            values[field] = row.cells[index] ?? '';
+        });
+        return { line: row.line, values };
+    },
+
+    // ==================================================
+    // STEP 3: CHECK
+    // ==================================================
+
+    async checkRows() {
+        this.readMapping();
+        const missing = this.fields.filter(field => field.required && this.mapping[field.field] === undefined);
+        if (missing.length > 0) {
+            alert('Choose a column for: ' + missing.map(field => field.label).join(', '));
+            return;
+        }
+
+        const button = document.getElementById('importCheckBtn');
+        button.disabled = true;
+        button.textContent = 'Checking...';
+
+        try {
+            this.checks = new Map();
+            for (let i = 0; i < this.rows.length; i += this.maxRows) {
+                const body = await this.request(`/api/import/${this.table}`, {
+                    method: 'POST',
+                    body: JSON.stringify({ dry_run: true, rows: this.rows.slice(i, i + this.maxRows).map(row => this.toImportRow(row)) })
+                });
+                body.data.forEach(check => this.checks.set(check.line, check));
+            }
+            this.renderPreview();
+        } catch (error) {
+            console.error('❌ Error checking import rows:', error);
+            alert('Could not check the rows: ' + error.message);
+            button.disabled = false;
+            button.textContent = 'Check rows';
+        }
+    },
+
+    isDuplicate(check) {
+        return check.duplicates.length > 0 || check.file_duplicates.length > 0;
+    },
+
+    // Client and course of a row, to recognize it in lists
+    describeRow(line) {
+        const row = this.rows.find(item => item.line === line);
+        const cell = field => this.mapping[field] === undefined ? '' : row.cells[this.mapping[field]];
+        return [cell('client_company') || cell('client'), cell('course_title')].filter(Boolean).join(' - ');
+    },
+
+    renderPreview() {
+        const checks = [...this.checks.values()];
+        const invalid = checks.filter(check => check.errors.length > 0);
+        const duplicates = checks.filter(check => check.errors.length === 0 && this.isDuplicate(check));
+        const clean = checks.length - invalid.length - duplicates.length;
+        const problems = [...invalid, ...duplicates].sort((a, b) => a.line - b.line);
+        const shown = problems.slice(0, 200);
+
+        this.setContent(`
+            <div class="import-steps">${this.renderSteps(3)}</div>
+            <div class="import-summary">
+                <div><strong>${clean}</strong> ready to import</div>
+                <div class="import-duplicate"><strong>${duplicates.length}</strong> possible duplicate(s)</div>
+                <div class="import-error"><strong>${invalid.length}</strong> with errors (not imported)</div>
+            </div>
+            ${problems.length === 0 ? '<p class="import-help">Every row is ready to import.</p>' : `
+                <table class="import-table">
+                    <thead><tr><th>Row</th><th>Opportunity</th><th>Problem</th></tr></thead>
+                    <tbody>
+                        ${shown.map(check => `
+                            <tr>
+                                <td>${check.line}</td>
+                                <td>${this.escape(this.describeRow(check.line) || '-')}</td>
+                                <td class="${check.errors.length > 0 ? 'import-error' : 'import-duplicate'}">${this.escape(this.describeProblem(check))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${problems.length > shown.length ? `<p class="import-help">…and ${problems.length - shown.length} more - download the report to see them all.</p>` : ''}
+            `}
+            ${duplicates.length > 0 ? `
+                <label class="import-option">
+                    <input type="checkbox" id="importSkipDuplicates" checked onchange="VIFMImport.updateImportCount()">
+                    Skip possible duplicates
+                </label>
+            ` : ''}
+            <div class="import-actions">
+                <button type="button" class="btn btn-secondary" onclick="VIFMImport.renderMappingStep()">Back</button>
+                ${problems.length > 0 ? '<button type="button" class="btn btn-secondary" onclick="VIFMImport.downloadReport()">Download report</button>' : ''}
+                <button type="button" class="btn btn-primary" id="importRowsBtn" onclick="VIFMImport.importRows()"></button>
+            </div>
+        `);
+        this.updateImportCount();
+    },
+
+    describeProblem(check) {
+        if (check.errors.length > 0) return check.errors.join('; ');
+
+        const reasons = check.duplicates.map(match => window.VIFMDuplicates.isHidden(match)
+            ? `Like another user's opportunity: ${match.reasons.join(', ')}`
+            : `Like ${match.client || '-'} - ${match.course_title || '-'} (${match.owner || 'unassigned'}): ${match.reasons.join(', ')}`);
+        if (check.file_duplicates.length > 0) {
+            reasons.push(`Like row ${check.file_duplicates.join(', ')} of this file`);
+        }
+        return reasons.join('; ');
+    },
+
+    // Rows that will be sent for saving
+    getRowsToImport() {
+        const skipDuplicates = document.getElementById('importSkipDuplicates')?.checked;
+        return this.rows.filter(row => {
+            const check = this.checks.get(row.line);
+            return check && check.errors.length === 0 && !(skipDuplicates && this.isDuplicate(check));
+        });
+    },
+
+    updateImportCount() {
+        const count = this.getRowsToImport().length;
+        const button = document.getElementById('importRowsBtn');
+        button.textContent = `Import ${count} row(s)`;
+        button.disabled = count === 0;
+    },
+
+    // ==================================================
+    // STEP 4: IMPORT
+    // ==================================================
+
+    async importRows() {
+        const rows = this.getRowsToImport();
+        if (rows.length === 0) return;
+
+        const skippedDuplicates = [...this.checks.values()]
+            .filter(check => check.errors.length === 0 && !rows.some(row => row.line === check.line));
+        this.results = [...this.checks.values()]
+            .filter(check => check.errors.length > 0)
+            .map(check => ({ line: check.line, status: 'Not imported', details: check.errors.join('; ') }))
+            .concat(skippedDuplicates.map(check => ({ line: check.line, status: 'Skipped', details: this.describeProblem(check) })));
+
+        let imported = 0;
+        for (let i = 0; i < rows.length; i += this.importBatchSize) {
+            this.setContent(`
+                <div class="import-steps">${this.renderSteps(4)}</div>
+                <p class="import-help">Importing ${Math.min(i + this.importBatchSize, rows.length)} of ${rows.length} row(s)...</p>
+                <div class="import-progress"><div style="width: ${Math.round(i / rows.length * 100)}%"></div></div>
+            `);
+
+            const batch = rows.slice(i, i + this.importBatchSize);
+            try {
+                const body = await this.request(`/api/import/${this.table}`, {
+                    method: 'POST',
+                    body: JSON.stringify({ rows: batch.map(row => this.toImportRow(row)) })
+                });
+                body.data.forEach(result => {
+                    this.results.push(result.id
+                        ? { line: result.line, status: 'Imported', details: '' }
+                        : { line: result.line, status: 'Failed', details: result.errors.join('; ') });
+                });
+                imported += body.inserted;
+            } catch (error) {
+                // Keep going: report this batch as failed and try the next
+                console.error('❌ Error importing rows:', error);
+                batch.forEach(row => this.results.push({ line: row.line, status: 'Failed', details: error.message }));
+            }
+        }
+
+        this.results.sort((a, b) => a.line - b.line);
+        console.log(`📥 Imported ${imported} of ${rows.length} row(s) into ${this.table}`);
+        this.renderSummary(imported);
+        if (imported > 0) this.onComplete?.();
+    },
+
+    renderSummary(imported) {
+        const count = status => this.results.filter(result => result.status === status).length;
+        const failed = this.results.filter(result => result.status === 'Failed');
+
+        this.setContent(`
+            <div class="import-steps">${this.renderSteps(4)}</div>
+            <div class="import-summary">
+                <div><strong>${imported}</strong> imported</div>
+                <div class="import-duplicate"><strong>${count('Skipped')}</strong> skipped as possible duplicates</div>
+                <div class="import-error"><strong>${count('Not imported') + failed.length}</strong> not imported</div>
+            </div>
+            ${failed.length > 0 ? `
+                <table class="import-table">
+                    <thead><tr><th>Row</th><th>Opportunity</th><th>Error</th></tr></thead>
+                    <tbody>
+                        ${failed.slice(0, 200).map(result => `
+                            <tr>
+                                <td>${result.line}</td>
+                                <td>${this.escape(this.describeRow(result.line) || '-')}</td>
+                                <td class="import-error">${this.escape(result.details)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+            <div class="import-actions">
+                <button type="button" class="btn btn-secondary" onclick="VIFMImport.downloadReport()">Download report</button>
+                <button type="button" class="btn btn-primary" onclick="VIFMImport.close()">Done</button>
+            </div>
+        `);
+    },
+
+    // CSV of every row with a problem (after checking) or every row's result (after importing)
+    downloadReport() {
+        const lines = this.results.length > 0
+            ? this.results
+            : [...this.checks.values()]
+                .filter(check => check.errors.length > 0 || this.isDuplicate(check))
+                .map(check => ({
+                    line: check.line,
+                    status: check.errors.length > 0 ? 'Error' : 'Possible duplicate',
+                    details: this.describeProblem(check)
+                }));
+
+        const quote = text => `"${String(text ?? '').replace(/"/g, '""')}"`;
+        const csvContent = [
+            'Row,Opportunity,Result,Details',
+            ...lines.map(result => [result.line, quote(this.describeRow(result.line)), quote(result.status), quote(result.details)].join(','))
+        ].join('\n');
+
+        const blob = new Blob([csvContent], { type: 'text/csv' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `import_report_${this.table}_${new Date().toISOString().split('T')[0]}.csv`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+    },
+
+    renderSteps(current) {
+        return ['File', 'Columns', 'Check', 'Import'].map((step, index) =>
+            `<span class="${index + 1 === current ? 'active' : ''}">${index + 1}. ${step}</span>`).join('');
+    },
+
+    // Escape for element content and attribute values
+    escape(text) {
+        return (text ?? '').toString()
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
@@ -0,0 +1,233 @@
+/**
+ * VIFM Portal - Mail Transports
+ * Pluggable email delivery for server.js notifications.
+ *
+ * Select a backend with MAIL_TRANSPORT:
+ *   graph - Microsoft Graph (Replit Outlook connector, or Azure app credentials)
+ *   smtp  - any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+ *   file  - writes each message as an .eml file to MAIL_FILE_DIR (development/tests)
+ *
+ * Every transport exposes send({ to, subject, html, text }) and throws on failure.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { Client } = require('@microsoft/microsoft-graph-client');
+
+const DEFAULT_FROM = 'VIFM Portal <no-reply@viftraining.com>';
+
+// ==================================================
+// MICROSOFT GRAPH
+// ==================================================
+
+// Cache for connection settings / app tokens
+let connectionSettings = null;
+let appToken = null;
+
+// Get an access token from the Replit Outlook connector
+async function getConnectorAccessToken() {
+  if (connectionSettings && connectionSettings.settings.expires_at && new Date(connectionSettings.settings.expires_at).getTime() > Date.now()) {
+    return connectionSettings.settings.access_token;
+  }
+
+  const hostname = process.env.REPLIT_CONNECTORS_HOSTNAME;
+  const xReplitToken = process.env.REPL_IDENTITY
+    ? 'repl ' + process.env.REPL_IDENTITY
+    : process.env.WEB_REPL_RENEWAL
+    ? 'depl ' + process.env.WEB_REPL_RENEWAL
+    : null;
+
+  if (!xReplitToken) {
+    throw new Error('X_REPLIT_TOKEN not found for repl/depl');
+  }
+
+  connectionSettings = await fetch(
+    'https://' + hostname + '/api/v2/connection?include_secrets=true&connector_names=outlook',
+    {
+      headers: {
+        'Accept': 'application/json',
+        'X_REPLIT_TOKEN': xReplitToken
+      }
+    }
+  ).then(res => res.json()).then(data => data.items?.[0]);
+
+  const accessToken = connectionSettings?.settings?.access_token || connectionSettings?.settings?.oauth?.credentials?.access_token;
+
+  if (!connectionSettings || !accessToken) {
+    throw new Error('Outlook not connected');
+  }
+  return accessToken;
+}
+
+// Get an application token with the client credentials flow (outside Replit)
+async function getAppAccessToken() {
+  if (appToken && appToken.expiresAt > Date.now() + 60000) {
+    return appToken.accessToken;
+  }
+
+  const response = await fetch(
+    `https://login.microsoftonline.com/${process.env.GRAPH_TENANT_ID}/oauth2/v2.0/token`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: process.env.GRAPH_CLIENT_ID,
+        client_secret: process.env.GRAPH_CLIENT_SECRET,
+        scope: 'https://graph.microsoft.com/.default',
+        grant_type: 'client_credentials'
+      })
+    }
+  );
+
+  const data = await response.json();
+  if (!response.ok || !data.access_token) {
+    throw new Error('Graph token request failed: ' + (data.error_description || response.status));
+  }
+
+  appToken = {
+    accessToken: data.access_token,
+    expiresAt: Date.now() + data.expires_in * 1000
+  };
+  return appToken.accessToken;
+}
+
+function createGraphTransport() {
+  // App credentials send as a specific mailbox; the connector sends as the connected user
+  const useAppCredentials = !!(process.env.GRAPH_TENANT_ID && process.env.GRAPH_CLIENT_ID && process.env.GRAPH_CLIENT_SECRET);
+  const sender = process.env.GRAPH_SENDER;
+
+  if (useAppCredentials && !sender) {
+    throw new Error('GRAPH_SENDER is required when using Graph app credentials');
+  }
+
+  return {
+    name: useAppCredentials ? 'Microsoft Graph' : 'Microsoft Outlook (Replit connector)',
+
+    async send(message) {
+      const accessToken = useAppCredentials ? await getAppAccessToken() : await getConnectorAccessToken();
+      const client = Client.initWithMiddleware({
+        authProvider: {
+          getAccessToken: async () => accessToken
+        }
+      });
+
+      await client.api(useAppCredentials ? `/users/${sender}/sendMail` : '/me/sendMail').post({
+        message: {
+          subject: message.subject,
+          body: {
+            contentType: 'HTML',
+            content: message.html
+          },
+          toRecipients: message.to.map(address => ({
+            emailAddress: { address }
+          }))
+        },
+        saveToSentItems: true
+      });
+
+      return { transport: 'graph' };
+    }
+  };
+}
+
+// ==================================================
+// SMTP
+// ==================================================
+
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: `SMTP (${process.env.SMTP_HOST})`,
+
+    async send(message) {
+      const info = await transporter.sendMail({
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        to: message.to.join(', '),
+        subject: message.subject,
+        html: message.html,
+        text: message.text
+      });
+
+      return { transport: 'smtp', messageId: info.messageId };
+    }
+  };
+}
+
+// ==================================================
+// FILE SINK (development / tests)
+// ==================================================
+
+function createFileTransport() {
+  const directory = path.resolve(process.env.MAIL_FILE_DIR || path.join(__dirname, '.local', 'mail'));
+  // Builds the raw RFC 822 message without sending it anywhere
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: `File sink (${directory})`,
+    directory,
+
+    async send(message) {
+      const info = await composer.sendMail({
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        to: message.to.join(', '),
+        subject: message.subject,
+        html: message.html,
+        text: message.text
+      });
+
+      await fs.promises.mkdir(directory, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.eml`;
+      const filePath = path.join(directory, fileName);
+      await fs.promises.writeFile(filePath, info.message);
+
+      return { transport: 'file', messageId: info.messageId, path: filePath };
+    }
+  };
+}
+
+// ==================================================
+// TRANSPORT SELECTION
+// ==================================================
+
+const TRANSPORTS = {
+  graph: createGraphTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport
+};
+
+let activeTransport = null;
+
+// Create a transport by name
+function createMailTransport(name) {
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return factory();
+}
+
+// Get the configured transport (created once, from MAIL_TRANSPORT; defaults to graph)
+function getMailTransport() {
+  if (!activeTransport) {
+    activeTransport = createMailTransport((process.env.MAIL_TRANSPORT || 'graph').toLowerCase());
+  }
+  return activeTransport;
+}
+
+module.exports = {
+  getMailTransport,
+  createMailTransport
+};
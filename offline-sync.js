@@ -0,0 +1,511 @@
+/**
+ * VIFM Offline Store
+ * Keeps an IndexedDB copy of the opportunity tables and a queue of the creates,
+ * updates and deletes made while the database is unreachable. The queue is replayed
+ * in order when ConnectionStatus reports connected again. A queued change whose
+ * record was modified on the server in the meantime (its updated_at moved on) is
+ * held back as a conflict until the user keeps their version or the server's.
+ *
+ * Requires supabase.js. Each signed-in user gets their own IndexedDB database, so
+ * a shared browser never replays one user's changes under another user's session.
+ */
+
+const OFFLINE_DB_VERSION = 1;
+const OFFLINE_LOCAL_ID_PATTERN = /^(bd_)?local_/;
+
+// Fields the database sets itself - never sent when replaying a queued create
+const OFFLINE_SERVER_FIELDS = ['id', 'created_at', 'updated_at'];
+
+// ==================================================
+// INDEXEDDB HELPERS
+// ==================================================
+
+function openOfflineDatabase(name) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, OFFLINE_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('records')) {
+                const records = db.createObjectStore('records', { keyPath: 'key' });
+                records.createIndex('table', 'table');
+            }
+            if (!db.objectStoreNames.contains('queue')) {
+                db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function offlineRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function offlineTransactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function offlineRecordKey(table, id) {
+    return `${table}:${id}`;
+}
+
+// Copy of a record without the fields the database fills in
+function withoutServerFields(data) {
+    const copy = { ...data };
+    OFFLINE_SERVER_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+}
+
+// ==================================================
+// OFFLINE STORE
+// ==================================================
+
+window.VIFMOffline = {
+    db: null,
+    userId: null,
+    entries: [],
+    listeners: [],
+    syncPromise: null,
+
+    // Open the current user's store. Safe to call repeatedly.
+    async open() {
+        const session = await window.VIFMSupabase.Auth.getSession();
+        const userId = session?.user?.id || 'anonymous';
+
+        if (this.db && this.userId === userId) return this.db;
+        if (this.db) this.db.close();
+
+        this.db = await openOfflineDatabase(`vifm-offline-${userId}`);
+        this.userId = userId;
+        await this.refreshQueue();
+
+        console.log('💾 Offline store ready:', this.entries.length, 'queued change(s)');
+        return this.db;
+    },
+
+    isLocalId(id) {
+        return OFFLINE_LOCAL_ID_PATTERN.test(String(id || ''));
+    },
+
+    // True when an error means the database could not be reached (rather than rejected the change)
+    isNetworkError(error) {
+        if (!navigator.onLine) return true;
+        const message = error?.message || String(error || '');
+        return error instanceof TypeError || /failed to fetch|fetch failed|networkerror|network request failed|load failed/i.test(message);
+    },
+
+    // Add status change listener: callback(event, detail, state)
+    //   'queued'   - a change was queued or a conflict resolved
+    //   'applied'  - a queued change reached the database ({ table, action, record, previous })
+    //   'synced'   - a replay finished ({ applied, conflicts, pending, offline })
+    addListener(callback) {
+        this.listeners.push(callback);
+    },
+
+    notify(event, detail = {}) {
+        const state = this.getState();
+        this.listeners.forEach(callback => {
+            try {
+                callback(event, detail, state);
+            } catch (error) {
+                console.error('❌ Offline listener error:', error);
+            }
+        });
+    },
+
+    getState() {
+        return {
+            pending: this.entries.filter(entry => entry.status === 'pending').length,
+            conflicts: this.entries.filter(entry => entry.status === 'conflict').length,
+            syncing: !!this.syncPromise
+        };
+    },
+
+    // ==================================================
+    // CACHED RECORDS
+    // ==================================================
+
+    // Replace the cached copy of a table with fresh server rows, keeping queued local changes on top
+    async cacheRecords(table, rows) {
+        const db = await this.open();
+        const transaction = db.transaction('records', 'readwrite');
+        const store = transaction.objectStore('records');
+
+        const keys = await offlineRequest(store.index('table').getAllKeys(table));
+        keys.forEach(key => store.delete(key));
+        (rows || []).forEach(row => store.put({ key: offlineRecordKey(table, row.id), table, id: row.id, data: row }));
+        await offlineTransactionDone(transaction);
+
+        for (const entry of this.entries.filter(e => e.table === table)) {
+            await this.applyToCache(entry);
+        }
+    },
+
+    async cacheRecord(table, row) {
+        const db = await this.open();
+        const transaction = db.transaction('records', 'readwrite');
+        transaction.objectStore('records').put({ key: offlineRecordKey(table, row.id), table, id: row.id, data: row });
+        await offlineTransactionDone(transaction);
+    },
+
+    async removeRecord(table, id) {
+        const db = await this.open();
+        const transaction = db.transaction('records', 'readwrite');
+        transaction.objectStore('records').delete(offlineRecordKey(table, id));
+        await offlineTransactionDone(transaction);
+    },
+
+    async getRecord(table, id) {
+        const db = await this.open();
+        const record = await offlineRequest(db.transaction('records').objectStore('records').get(offlineRecordKey(table, id)));
+        return record ? record.data : null;
+    },
+
+    // Cached rows for a table, newest first
+    async getRecords(table) {
+        const db = await this.open();
+        const records = await offlineRequest(db.transaction('records').objectStore('records').index('table').getAll(table));
+        return records
+            .map(record => record.data)
+            .sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+    },
+
+    // Show a queued change in the cached copy
+    async applyToCache(entry) {
+        if (entry.action === 'delete') {
+            await this.removeRecord(entry.table, entry.record_id);
+            return null;
+        }
+
+        const current = await this.getRecord(entry.table, entry.record_id);
+        const record = { ...(current || {}), ...entry.data, id: entry.record_id };
+        if (!record.created_at) record.created_at = entry.queued_at;
+
+        await this.cacheRecord(entry.table, record);
+        return record;
+    },
+
+    // ==================================================
+    // WRITE QUEUE
+    // ==================================================
+
+    async refreshQueue() {
+        const entries = await offlineRequest(this.db.transaction('queue').objectStore('queue').getAll());
+        this.entries = entries.sort((a, b) => a.seq - b.seq);
+    },
+
+    // Entries are kept in memory too, so listeners see the queue as it is mid-replay
+    async saveEntry(entry) {
+        const transaction = this.db.transaction('queue', 'readwrite');
+        const request = transaction.objectStore('queue').put(entry);
+        await offlineTransactionDone(transaction);
+
+        const saved = { ...entry, seq: request.result };
+        this.entries = this.entries
+            .filter(e => e.seq !== saved.seq)
+            .concat(saved)
+            .sort((a, b) => a.seq - b.seq);
+    },
+
+    async deleteEntry(seq) {
+        const transaction = this.db.transaction('queue', 'readwrite');
+        transaction.objectStore('queue').delete(seq);
+        await offlineTransactionDone(transaction);
+
+        this.entries = this.entries.filter(e => e.seq !== seq);
+    },
+
+    findEntry(table, id) {
+        return this.entries.find(entry => entry.table === table && entry.record_id === id) || null;
+    },
+
+    // 'pending', 'conflict' or null when the record has no queued change
+    getRecordStatus(table, id) {
+        const entry = this.findEntry(table, id);
+        return entry ? entry.status : null;
+    },
+
+    hasPending(table, id) {
+        return !!id && !!this.findEntry(table, id);
+    },
+
+    // Queue a create, update or delete. Changes to the same record are merged into one entry,
+    // keeping the updated_at the record had when it was first changed offline.
+    async queueWrite(table, action, id, data = {}) {
+        await this.open();
+
+        if (action === 'insert' && !id) {
+            // Random, so two records queued in the same millisecond do not share an id
+            id = 'local_' + crypto.randomUUID();
+        }
+
+        const existing = this.findEntry(table, id);
+        const cached = await this.getRecord(table, id);
+        let entry = null;
+
+        if (existing && existing.action === 'insert') {
+            if (action === 'delete') {
+                // Never reached the database - just forget it
+                await this.deleteEntry(existing.seq);
+                await this.removeRecord(table, id);
+            } else {
+                entry = { ...existing, data: { ...existing.data, ...data } };
+            }
+        } else if (existing && existing.action === 'update' && action === 'update') {
+            entry = { ...existing, data: { ...existing.data, ...data } };
+        } else {
+            if (existing) {
+                await this.deleteEntry(existing.seq);
+            }
+            entry = {
+                table,
+                action,
+                record_id: id,
+                data: action === 'delete' ? {} : { ...data },
+                base_updated_at: existing ? existing.base_updated_at : (cached?.updated_at || null),
+                status: 'pending',
+                reason: null,
+                server_record: null,
+                queued_at: new Date().toISOString()
+            };
+        }
+
+        let record = null;
+        if (entry) {
+            entry.queued_at = new Date().toISOString();
+            await this.saveEntry(entry);
+            record = await this.applyToCache(entry);
+        }
+
+        await this.refreshQueue();
+        this.notify('queued', { table, action, id });
+        return record;
+    },
+
+    // ==================================================
+    // REPLAY
+    // ==================================================
+
+    async syncIfPending() {
+        if (!this.db || this.syncPromise) return;
+        if (this.entries.some(entry => entry.status === 'pending')) {
+            await this.sync();
+        }
+    },
+
+    // Replay pending changes in the order they were made. Concurrent calls share one run.
+    sync() {
+        if (!this.syncPromise) {
+            this.syncPromise = this.replayQueue().finally(() => {
+                this.syncPromise = null;
+            });
+        }
+        return this.syncPromise;
+    },
+
+    async replayQueue() {
+        await this.open();
+        const result = { applied: 0, conflicts: 0, pending: 0, offline: false };
+
+        for (const entry of this.entries.filter(e => e.status === 'pending')) {
+            try {
+                const applied = await this.replayEntry(entry);
+                if (applied) {
+                    result.applied++;
+                } else {
+                    result.conflicts++;
+                }
+            } catch (error) {
+                if (this.isNetworkError(error)) {
+                    console.warn('⚠️ Still offline - queued changes kept for later');
+                    result.offline = true;
+                    break;
+                }
+
+                // The database refused the change (validation, permissions...) - let the user decide
+                console.error('❌ Queued change rejected:', error);
+                await this.markConflict(entry, error.message, null);
+                result.conflicts++;
+            }
+        }
+
+        await this.refreshQueue();
+        result.pending = this.entries.filter(entry => entry.status === 'pending').length;
+
+        if (result.applied || result.conflicts) {
+            console.log('🔄 Offline sync:', result);
+        }
+        this.notify('synced', result);
+        return result;
+    },
+
+    // Send one queued change. Returns false when it was held back as a conflict.
+    async replayEntry(entry) {
+        const Database = window.VIFMSupabase.Database;
+
+        if (entry.action === 'insert') {
+            const saved = await Database.insert(entry.table, withoutServerFields(entry.data));
+            await this.removeRecord(entry.table, entry.record_id);
+            await this.cacheRecord(entry.table, saved);
+            await this.deleteEntry(entry.seq);
+            this.notify('applied', { table: entry.table, action: 'insert', record: saved, previous: null });
+            return true;
+        }
+
+        const server = await this.fetchServerRecord(entry.table, entry.record_id);
+        const changedOnServer = server && entry.base_updated_at && server.updated_at !== entry.base_updated_at;
+
+        if (entry.action === 'delete') {
+            if (changedOnServer) {
+                await this.markConflict(entry, 'Changed by someone else after you deleted it offline', server);
+                return false;
+            }
+            if (server) {
+                await Database.delete(entry.table, entry.record_id);
+            }
+            await this.deleteEntry(entry.seq);
+            this.notify('applied', { table: entry.table, action: 'delete', record: null, previous: server });
+            return true;
+        }
+
+        if (!server) {
+            await this.markConflict(entry, 'Deleted by someone else while you were offline', null);
+            return false;
+        }
+        if (changedOnServer) {
+            await this.markConflict(entry, 'Changed by someone else while you were offline', server);
+            return false;
+        }
+
+        const saved = await Database.update(entry.table, entry.record_id, withoutServerFields(entry.data));
+        await this.cacheRecord(entry.table, saved);
+        await this.deleteEntry(entry.seq);
+        this.notify('applied', { table: entry.table, action: 'update', record: saved, previous: server });
+        return true;
+    },
+
+    async fetchServerRecord(table, id) {
+        const client = window.VIFMSupabase.getSupabaseClient();
+        if (!client) throw new Error('Supabase client not available');
+
+        const { data, error } = await client
+            .from(table)
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    },
+
+    async markConflict(entry, reason, serverRecord) {
+        await this.saveEntry({ ...entry, status: 'conflict', reason, server_record: serverRecord });
+    },
+
+    // ==================================================
+    // CONFLICTS
+    // ==================================================
+
+    getConflicts() {
+        return this.entries.filter(entry => entry.status === 'conflict');
+    },
+
+    // Fields where the queued change and the server version disagree: [{ field, local, server }]
+    describeConflict(entry) {
+        const server = entry.server_record || {};
+        return Object.keys(entry.data)
+            .filter(field => !OFFLINE_SERVER_FIELDS.includes(field))
+            .filter(field => JSON.stringify(entry.data[field] ?? null) !== JSON.stringify(server[field] ?? null))
+            .map(field => ({ field, local: entry.data[field] ?? null, server: server[field] ?? null }));
+    },
+
+    // choice 'local' sends the queued change again over the server version; 'server' drops it
+    async resolveConflict(seq, choice) {
+        await this.open();
+        const entry = this.entries.find(e => e.seq === seq);
+        if (!entry) return;
+
+        if (choice === 'server') {
+            await this.deleteEntry(seq);
+            if (entry.server_record) {
+                await this.cacheRecord(entry.table, entry.server_record);
+            } else {
+                await this.removeRecord(entry.table, entry.record_id);
+            }
+        } else if (entry.action === 'update' && !entry.server_record) {
+            // Deleted on the server - keeping ours means creating it again
+            const cached = await this.getRecord(entry.table, entry.record_id);
+            await this.saveEntry({
+                ...entry,
+                action: 'insert',
+                data: { ...(cached || {}), ...entry.data },
+                status: 'pending',
+                reason: null
+            });
+        } else {
+            await this.saveEntry({
+                ...entry,
+                base_updated_at: entry.server_record ? entry.server_record.updated_at : entry.base_updated_at,
+                status: 'pending',
+                reason: null,
+                server_record: null
+            });
+        }
+
+        await this.refreshQueue();
+        this.notify('queued', { table: entry.table, action: entry.action, id: entry.record_id });
+
+        if (choice !== 'server') {
+            return this.sync();
+        }
+    },
+
+    // ==================================================
+    // LEGACY BACKUP
+    // ==================================================
+
+    // Queue records that older versions of the portal saved only to a localStorage backup
+    async importLegacyBackup(table, storageKey) {
+        const backup = localStorage.getItem(storageKey);
+        if (!backup) return 0;
+
+        let rows = [];
+        try {
+            rows = JSON.parse(backup) || [];
+        } catch (error) {
+            console.warn('⚠️ Unreadable offline backup:', storageKey);
+        }
+
+        await this.open();
+        const unsynced = rows.filter(row => this.isLocalId(row.id) && !this.findEntry(table, row.id));
+        for (const row of unsynced) {
+            await this.queueWrite(table, 'insert', row.id, row);
+        }
+
+        localStorage.removeItem(storageKey);
+        if (unsynced.length > 0) {
+            console.log('📦 Queued', unsynced.length, 'unsynced record(s) from', storageKey);
+        }
+        return unsynced.length;
+    }
+};
+
+// Replay queued changes as soon as the database is reachable again
+if (window.VIFMSupabase?.ConnectionStatus) {
+    window.VIFMSupabase.ConnectionStatus.addListener(status => {
+        if (status === 'connected') {
+            window.VIFMOffline.syncIfPending();
+        }
+    });
+}
+window.addEventListener('online', () => window.VIFMOffline.syncIfPending());
@@ -0,0 +1,82 @@
+/**
+ * VIFM Portal - Roles and Permissions
+ * What a user may do is decided by their role's permissions, kept in the
+ * role_permissions table and managed by admins in User Management -> Roles &
+ * Permissions. requireAuth attaches the caller's permissions to the request; routes
+ * check them with requirePermission(). The RLS policies check the same permissions
+ * with has_permission().
+ *
+ * Permissions are cached for a minute. The built-in defaults below are used when the
+ * table cannot be read (e.g. before the migration has been run).
+ */
+
+const PERMISSION_CACHE_TTL_MS = 60 * 1000;
+
+const PERMISSIONS = {
+  'opportunities.read': 'See consultant opportunities (their own unless they can see all)',
+  'opportunities.read_all': "See every consultant's opportunities",
+  'opportunities.write': 'Add and edit consultant opportunities in the Consultant module',
+  'bd.read': 'See the BD pipeline',
+  'bd.write': 'Add, edit, convert and merge BD opportunities',
+  'reports.view': 'Revenue forecast and win/loss reports',
+  'clients.manage': 'Edit and merge clients and contacts',
+  'clients.delete': 'Delete clients',
+  'tasks.read_all': "See and update everyone's tasks",
+  'tasks.delete_all': 'Delete tasks created by others',
+  'calendar.view': 'Calendar and calendar feed',
+  'audit.read_all': 'See the whole audit trail',
+  'users.manage': 'Create users and change their roles and role permissions',
+  'settings.manage': 'Pipeline stages, loss reasons, competitors, notification routing and email templates'
+};
+
+const BD_PERMISSIONS = [
+  'opportunities.read', 'opportunities.read_all', 'bd.read', 'bd.write', 'reports.view', 'clients.manage', 'tasks.read_all'
+];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  consultant: ['opportunities.read', 'opportunities.write', 'calendar.view'],
+  bd: [...BD_PERMISSIONS, 'calendar.view'],
+  bd_only: BD_PERMISSIONS,
+  admin: Object.keys(PERMISSIONS)
+};
+
+let permissionCache = null; // { byRole, loadedAt }
+
+// { role: [permission] } for every role, read with the given Supabase client
+async function loadRolePermissions(client, { force = false } = {}) {
+  if (!force && permissionCache && Date.now() - permissionCache.loadedAt < PERMISSION_CACHE_TTL_MS) {
+    return permissionCache.byRole;
+  }
+
+  let byRole = DEFAULT_ROLE_PERMISSIONS;
+  if (client) {
+    const { data, error } = await client
+      .from('role_permissions')
+      .select('role, permission');
+
+    if (error) {
+      console.warn('⚠️ Could not load role permissions, using defaults:', error.message);
+    } else if (data && data.length > 0) {
+      byRole = {};
+      data.forEach(({ role, permission }) => {
+        (byRole[role] = byRole[role] || []).push(permission);
+      });
+    }
+  }
+
+  permissionCache = { byRole, loadedAt: Date.now() };
+  return byRole;
+}
+
+// The permissions of one role, as a Set
+async function getRolePermissions(client, role) {
+  const byRole = await loadRolePermissions(client);
+  return new Set(byRole[role] || []);
+}
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  loadRolePermissions,
+  getRolePermissions
+};
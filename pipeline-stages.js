@@ -0,0 +1,155 @@
+/**
+ * VIFM Portal - Pipeline Stages
+ * BD pipeline stages are configured by admins in the pipeline_stages table
+ * (User Management -> Pipeline Stages). Each stage has a key (the value stored in
+ * bd_opportunities.pipeline_stage), a name, sort order, colour, default probability
+ * and a state:
+ *   open    still in the pipeline
+ *   won     closed and won
+ *   lost    closed and lost
+ *   closed  closed without an outcome (e.g. cancelled)
+ *
+ * Transition rules live on the stage too: allowed_next_stages lists the stages an
+ * opportunity may move to from it (null = any stage), and required_fields lists the
+ * fields that must be filled in while an opportunity is in it.
+ *
+ * The stages are cached for a minute. The five original stages are used when the
+ * table cannot be read (e.g. before the migration has been run).
+ *
+ * Shared by the server (require) and the pages (window.VIFMPipelineStages, loaded before
+ * supabase.js), so the defaults, field labels and rule checks exist once. The database
+ * enforces the same rules on every write (check_bd_stage_rules in database_schema.sql).
+ */
+
+(function () {
+  const STAGE_STATES = ['open', 'won', 'lost', 'closed'];
+  const STAGE_CACHE_TTL_MS = 60 * 1000;
+
+  // Fields a stage can require, with the labels used in error messages
+  const STAGE_REQUIRABLE_FIELDS = {
+    estimated_budget: 'Budget',
+    expected_close_date: 'Close date',
+    primary_contact: 'Primary contact',
+    contact_email: 'Contact email',
+    competitors: 'Competitors',
+    next_actions: 'Next actions',
+    loss_reason: 'Loss reason'
+  };
+
+  const DEFAULT_PIPELINE_STAGES = [
+    {
+      key: 'qualified', name: 'Qualified', sort_order: 1, color: '#4338ca', default_probability: 25, state: 'open',
+      allowed_next_stages: ['proposal', 'closed-lost'], required_fields: []
+    },
+    {
+      key: 'proposal', name: 'Proposal', sort_order: 2, color: '#d97706', default_probability: 50, state: 'open',
+      allowed_next_stages: ['qualified', 'negotiation', 'closed-lost'], required_fields: ['estimated_budget']
+    },
+    {
+      key: 'negotiation', name: 'Negotiation', sort_order: 3, color: '#ea580c', default_probability: 75, state: 'open',
+      allowed_next_stages: ['proposal', 'closed-won', 'closed-lost'], required_fields: ['estimated_budget', 'expected_close_date']
+    },
+    {
+      key: 'closed-won', name: 'Closed Won', sort_order: 4, color: '#166534', default_probability: 100, state: 'won',
+      allowed_next_stages: ['negotiation'], required_fields: ['estimated_budget', 'expected_close_date']
+    },
+    {
+      key: 'closed-lost', name: 'Closed Lost', sort_order: 5, color: '#dc2626', default_probability: 0, state: 'lost',
+      allowed_next_stages: ['qualified'], required_fields: ['loss_reason']
+    }
+  ];
+
+  let stageCache = null; // { stages, loadedAt }
+
+  // Stages in sort order, read with the given Supabase client
+  async function loadPipelineStages(client, { force = false } = {}) {
+    if (!force && stageCache && Date.now() - stageCache.loadedAt < STAGE_CACHE_TTL_MS) {
+      return stageCache.stages;
+    }
+
+    let stages = DEFAULT_PIPELINE_STAGES;
+    if (client) {
+      const { data, error } = await client
+        .from('pipeline_stages')
+        .select('key, name, sort_order, color, default_probability, state, allowed_next_stages, required_fields')
+        .order('sort_order', { ascending: true });
+
+      if (error) {
+        console.warn('⚠️ Could not load pipeline stages, using defaults:', error.message);
+      } else if (data && data.length > 0) {
+        stages = data;
+      }
+    }
+
+    stageCache = { stages, loadedAt: Date.now() };
+    return stages;
+  }
+
+  function findStage(stages, key) {
+    return stages.find(stage => stage.key === key) || null;
+  }
+
+  function getStageKeys(stages, ...states) {
+    return stages.filter(stage => states.includes(stage.state)).map(stage => stage.key);
+  }
+
+  function getStageName(stages, key) {
+    return findStage(stages, key)?.name || key;
+  }
+
+  // ==================================================
+  // TRANSITION RULES
+  // ==================================================
+
+  function isBlank(value) {
+    return value === null || value === undefined || value.toString().trim() === '';
+  }
+
+  // Check a save against the stage rules. previous is the stored record (null when
+  // creating), changes the fields being written. Moving to another stage must be an
+  // allowed transition and fills in every field the new stage requires; saves within a
+  // stage may not clear a required field. Returns a list of error messages.
+  function getStageRuleErrors(stages, previous, changes) {
+    const record = { ...(previous || {}), ...changes };
+    const stage = findStage(stages, record.pipeline_stage);
+    if (!stage) return [];
+
+    const errors = [];
+    const stageChanged = !previous || (changes.pipeline_stage !== undefined && changes.pipeline_stage !== previous.pipeline_stage);
+
+    if (previous && stageChanged) {
+      const from = findStage(stages, previous.pipeline_stage);
+      if (from && Array.isArray(from.allowed_next_stages) && !from.allowed_next_stages.includes(stage.key)) {
+        const allowed = from.allowed_next_stages.map(key => getStageName(stages, key)).join(', ') || 'none';
+        errors.push(`Cannot move from ${from.name} to ${stage.name} (allowed: ${allowed})`);
+      }
+    }
+
+    const missing = (stage.required_fields || [])
+      .filter(field => stageChanged || field in changes)
+      .filter(field => isBlank(record[field]))
+      .map(field => STAGE_REQUIRABLE_FIELDS[field] || field);
+    if (missing.length > 0) {
+      errors.push(`${stage.name} requires: ${missing.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  const api = {
+    STAGE_STATES,
+    STAGE_REQUIRABLE_FIELDS,
+    DEFAULT_PIPELINE_STAGES,
+    loadPipelineStages,
+    findStage,
+    getStageKeys,
+    getStageName,
+    getStageRuleErrors
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.VIFMPipelineStages = api;
+  }
+})();
@@ -0,0 +1,304 @@
+/**
+ * VIFM Export
+ * Exports the rows a module is showing - filtered and in the order shown - as CSV,
+ * Excel (.xlsx) or a branded PDF report. Pages describe the columns once:
+ *
+ *   { label: 'Estimated Budget', type: 'number', value: opp => opp.estimated_budget }
+ *
+ * Types: text (default), number, percent (0-100), date (YYYY-MM-DD) and datetime.
+ * Excel cells keep their type (numbers and dates can be summed and sorted); CSV values
+ * are quoted where needed and text that a spreadsheet would run as a formula is
+ * prefixed with an apostrophe. Columns with pdf: false are left out of the PDF, which
+ * is printed landscape with a summary table first.
+ *
+ * Requires supabase.js. Excel needs SheetJS (window.XLSX); PDF needs jsPDF
+ * (window.jspdf) with the jspdf-autotable plugin.
+ */
+
+window.VIFMExport = {
+    brand: {
+        primary: [1, 1, 49], // --vifm-primary
+        accent: [83, 145, 213], // --vifm-accent
+        logo: 'vifm-logo.png'
+    },
+
+    // Export rows in format ('csv', 'xlsx' or 'pdf'). options:
+    //   title      report title, e.g. 'BD Pipeline'
+    //   fileName   file name without extension
+    //   columns    column definitions (see above)
+    //   rows       the records, in the order shown
+    //   filters    [{ label, value }] of the filters applied, listed on the report
+    //   summary    optional { title, columns, rows } - totals shown before the rows
+    async download(format, options) {
+        if (!options.rows || options.rows.length === 0) {
+            alert('Nothing to export - no rows match the current filters');
+            return;
+        }
+
+        try {
+            if (format === 'csv') {
+                this.save(new Blob(['\uFEFF' + this.toCsv(options.columns, options.rows)], { type: 'text/csv;charset=utf-8' }), `${options.fileName}.csv`);
+            } else if (format === 'xlsx') {
+                this.saveXlsx(options);
+            } else if (format === 'pdf') {
+                await this.savePdf(options);
+            } else {
+                throw new Error(`Unknown export format: ${format}`);
+            }
+            console.log(`📤 Exported ${options.rows.length} row(s) as ${format}`);
+        } catch (error) {
+            console.error('❌ Export failed:', error);
+            alert('Could not export: ' + error.message);
+        }
+    },
+
+    save(blob, fileName) {
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        window.URL.revokeObjectURL(url);
+    },
+
+    // Today as YYYY-MM-DD, for file names
+    today() {
+        return new Date().toISOString().split('T')[0];
+    },
+
+    // ==================================================
+    // VALUES
+    // ==================================================
+
+    // A cell's value as its type: numbers as Number, dates as Date, text as String.
+    // Empty values are null.
+    typedValue(column, row) {
+        const value = column.value(row);
+        if (value === null || value === undefined || value === '') return null;
+
+        switch (column.type) {
+            case 'number':
+            case 'percent': {
+                const number = Number(value);
+                return Number.isFinite(number) ? number : null;
+            }
+            case 'date': {
+                const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+                return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+            }
+            case 'datetime': {
+                const date = new Date(value);
+                return isNaN(date) ? null : date;
+            }
+            default:
+                return Array.isArray(value) ? value.join(', ') : String(value);
+        }
+    },
+
+    // A cell as text, for CSV and PDF
+    formatValue(column, row) {
+        const value = this.typedValue(column, row);
+        if (value === null) return '';
+
+        switch (column.type) {
+            case 'number':
+                return column.format === 'plain' ? String(value) : value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+            case 'percent':
+                return `${value}%`;
+            case 'date':
+                return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+            case 'datetime':
+                return value.toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+            default:
+                return value;
+        }
+    },
+
+    // ==================================================
+    // CSV
+    // ==================================================
+
+    escapeCsv(text) {
+        let value = String(text);
+        // Spreadsheets run cells starting with these as formulas
+        if (/^[=+\-@\t\r]/.test(value)) value = `'${value}`;
+        return /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    },
+
+    toCsv(columns, rows) {
+        const cell = (column, row) => {
+            // Numbers stay unformatted so spreadsheets read them as numbers
+            if (column.type === 'number' || column.type === 'percent') {
+                const value = this.typedValue(column, row);
+                return value === null ? '' : String(value);
+            }
+            return this.escapeCsv(this.formatValue(column, row));
+        };
+
+        return [
+            columns.map(column => this.escapeCsv(column.label)).join(','),
+            ...rows.map(row => columns.map(column => cell(column, row)).join(','))
+        ].join('\r\n');
+    },
+
+    // ==================================================
+    // EXCEL
+    // ==================================================
+
+    // A worksheet with typed cells, a filter on the heading row and fitted column widths
+    buildSheet(columns, rows) {
+        const XLSX = window.XLSX;
+        const sheet = XLSX.utils.aoa_to_sheet([
+            columns.map(column => column.label),
+            ...rows.map(row => columns.map(column => {
+                const value = this.typedValue(column, row);
+                return column.type === 'percent' && value !== null ? value / 100 : value;
+            }))
+        ], { cellDates: true });
+
+        columns.forEach((column, index) => {
+            const format = { number: '#,##0.##', percent: '0%', date: 'yyyy-mm-dd', datetime: 'yyyy-mm-dd hh:mm' }[column.type];
+            if (!format) return;
+            for (let r = 1; r <= rows.length; r++) {
+                const cell = sheet[XLSX.utils.encode_cell({ r, c: index })];
+                if (cell) cell.z = format;
+            }
+        });
+
+        sheet['!cols'] = columns.map(column => ({
+            wch: Math.min(50, Math.max(column.label.length, ...rows.slice(0, 200).map(row => this.formatValue(column, row).length)) + 2)
+        }));
+        sheet['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: columns.length - 1 } }) };
+        return sheet;
+    },
+
+    saveXlsx({ title, fileName, columns, rows, summary }) {
+        if (!window.XLSX) throw new Error('Excel export did not load - check your connection and reload the page');
+        const XLSX = window.XLSX;
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, this.buildSheet(columns, rows), title.slice(0, 31));
+        if (summary) {
+            XLSX.utils.book_append_sheet(workbook, this.buildSheet(summary.columns, summary.rows), 'Summary');
+        }
+        XLSX.writeFile(workbook, `${fileName}.xlsx`, { compression: true });
+    },
+
+    // ==================================================
+    // PDF
+    // ==================================================
+
+    // The logo as a data URL with its size, or null when it cannot be loaded
+    async loadLogo() {
+        try {
+            const blob = await (await fetch(this.brand.logo)).blob();
+            const dataUrl = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = reject;
+                reader.readAsDataURL(blob);
+            });
+            const image = await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = reject;
+                img.src = dataUrl;
+            });
+            return { dataUrl, width: image.naturalWidth, height: image.naturalHeight };
+        } catch (error) {
+            return null;
+        }
+    },
+
+    async savePdf({ title, fileName, columns, rows, filters = [], summary }) {
+        if (!window.jspdf?.jsPDF) throw new Error('PDF export did not load - check your connection and reload the page');
+
+        const doc = new window.jspdf.jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4' });
+        if (typeof doc.autoTable !== 'function') throw new Error('PDF tables did not load - check your connection and reload the page');
+
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const margin = 36;
+        const { profile } = await window.VIFMSupabase.Auth.getCurrentUser().catch(() => ({}));
+        const logo = await this.loadLogo();
+
+        // Heading band
+        doc.setFillColor(...this.brand.primary);
+        doc.rect(0, 0, pageWidth, 64, 'F');
+        let titleX = margin;
+        if (logo) {
+            const height = 36;
+            const width = logo.width / logo.height * height;
+            doc.setFillColor(255, 255, 255);
+            doc.roundedRect(margin - 4, 10, width + 8, height + 8, 4, 4, 'F');
+            doc.addImage(logo.dataUrl, 'PNG', margin, 14, width, height);
+            titleX += width + 20;
+        }
+        doc.setTextColor(255, 255, 255);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(18);
+        doc.text(title, titleX, 32);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.text(`Virginia Institute of Finance and Management - ${rows.length} record(s)`, titleX, 48);
+        doc.text(`Generated ${new Date().toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' })}${profile?.full_name ? ` by ${profile.full_name}` : ''}`,
+            pageWidth - margin, 48, { align: 'right' });
+
+        // Filters applied
+        let y = 84;
+        doc.setTextColor(17, 18, 50);
+        doc.setFontSize(9);
+        const applied = filters.filter(filter => filter.value);
+        const filterText = applied.length > 0 ? applied.map(filter => `${filter.label}: ${filter.value}`).join('   |   ') : 'All records';
+        doc.text(`Filters: ${filterText}`, margin, y);
+        y += 12;
+
+        const tableStyles = {
+            theme: 'striped',
+            margin: { left: margin, right: margin, top: margin, bottom: 40 },
+            styles: { font: 'helvetica', fontSize: 8, cellPadding: 4, overflow: 'linebreak' },
+            headStyles: { fillColor: this.brand.accent, textColor: 255, fontStyle: 'bold' },
+            alternateRowStyles: { fillColor: [245, 247, 250] }
+        };
+        const alignments = list => Object.fromEntries(list.map((column, index) =>
+            [index, { halign: ['number', 'percent'].includes(column.type) ? 'right' : 'left' }]));
+
+        if (summary) {
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(11);
+            doc.text(summary.title || 'Summary', margin, y + 14);
+            doc.autoTable({
+                ...tableStyles,
+                startY: y + 20,
+                head: [summary.columns.map(column => column.label)],
+                body: summary.rows.map(row => summary.columns.map(column => this.formatValue(column, row))),
+                columnStyles: alignments(summary.columns),
+                tableWidth: 'wrap'
+            });
+            y = doc.lastAutoTable.finalY + 12;
+        }
+
+        const pdfColumns = columns.filter(column => column.pdf !== false);
+        doc.autoTable({
+            ...tableStyles,
+            startY: y + 8,
+            head: [pdfColumns.map(column => column.label)],
+            body: rows.map(row => pdfColumns.map(column => this.formatValue(column, row))),
+            columnStyles: alignments(pdfColumns)
+        });
+
+        // Footer on every page
+        const pages = doc.getNumberOfPages();
+        for (let page = 1; page <= pages; page++) {
+            doc.setPage(page);
+            doc.setDrawColor(...this.brand.accent);
+            doc.line(margin, pageHeight - 28, pageWidth - margin, pageHeight - 28);
+            doc.setFontSize(8);
+            doc.setTextColor(100, 116, 139);
+            doc.text('VIFM Business Development Portal - Confidential', margin, pageHeight - 16);
+            doc.text(`Page ${page} of ${pages}`, pageWidth - margin, pageHeight - 16, { align: 'right' });
+        }
+
+        doc.save(`${fileName}.pdf`);
+    }
+};
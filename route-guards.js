@@ -1,6 +1,8 @@
 /**
  * VIFM Universal Route Guards
- * Enforces authentication and role-based access control on all protected pages
+ * Enforces authentication and permission-based access control on all protected pages.
+ * Permissions come from the user's role (VIFMSupabase.Permissions); the server and the
+ * database check them again, so these guards only keep users off pages they cannot use.
  */
 
 window.VIFMRouteGuards = {
@@ -57,6 +59,14 @@ window.VIFMRouteGuards = {
                 return false;
             }
             
+            if (profile.deactivated_at) {
+                console.log('❌ Account deactivated');
+                await window.VIFMSupabase.Auth.signOut();
+                this.redirectToLogin('Account deactivated');
+                return false;
+            }
+            
+            await window.VIFMSupabase.Permissions.load(profile.role);
             console.log('✅ Authentication verified for:', profile.full_name);
             return { session, user, profile };
             
@@ -67,33 +77,24 @@ window.VIFMRouteGuards = {
         }
     },
     
-    // Require specific role access
-    async requireRole(requiredRole) {
+    // Require a permission (e.g. 'bd.read') of the user's role
+    async requirePermission(permission) {
         try {
             const authResult = await this.requireAuthentication();
             if (!authResult) return false;
             
-            const userRole = authResult.profile.role;
-            
-            // Admin has access to everything
-            if (userRole === 'admin') {
-                console.log('✅ Admin access granted');
-                return true;
-            }
-            
-            // Check specific role requirement
-            if (userRole === requiredRole) {
-                console.log(`✅ Role access granted: ${requiredRole}`);
+            if (window.VIFMSupabase.Permissions.has(permission)) {
+                console.log(`✅ Permission granted: ${permission}`);
                 return true;
             }
             
             // Access denied
-            console.log(`❌ Access denied: required ${requiredRole}, user has ${userRole}`);
-            this.redirectToMainMenu(`Access denied. This page requires ${requiredRole} access.`);
+            console.log(`❌ Access denied: ${authResult.profile.role} lacks ${permission}`);
+            this.redirectToMainMenu('Access denied. You do not have access to this page.');
             return false;
             
         } catch (error) {
-            console.error('❌ Role guard error:', error);
+            console.error('❌ Permission guard error:', error);
             this.redirectToLogin('Authorization error');
             return false;
         }
@@ -169,7 +170,7 @@ window.VIFMRouteGuards = {
 };
 
 // Universal Pre-render Security System - Updated Version
-window.VIFMRouteGuards.executePreRenderSecurity = async function(requiredRole = null) {
+window.VIFMRouteGuards.executePreRenderSecurity = async function(requiredPermission = null) {
     console.log('🛡️ Executing immediate pre-render security check...');
     
     try {
@@ -206,18 +207,23 @@ window.VIFMRouteGuards.executePreRenderSecurity = async function(requiredRole =
             return false;
         }
         
-        // Role-based access control if required
-        if (requiredRole) {
-            const hasAccess = (profile.role === requiredRole || profile.role === 'admin');
-            if (!hasAccess) {
-                alert(`Access denied. This page requires ${requiredRole.toUpperCase()} access.`);
-                this.redirectToMainMenu();
-                return false;
-            }
+        if (profile.deactivated_at) {
+            await window.VIFMSupabase.Auth.signOut();
+            this.redirectToLogin('Account deactivated');
+            return false;
+        }
+        
+        // Permission-based access control if required
+        await window.VIFMSupabase.Permissions.load(profile.role);
+        if (requiredPermission && !window.VIFMSupabase.Permissions.has(requiredPermission)) {
+            alert('Access denied. You do not have access to this page.');
+            this.redirectToMainMenu();
+            return false;
         }
         
-        // Authentication successful
+        // Authentication successful; hide the actions the role does not allow
         console.log('✅ Pre-render security passed for:', profile.full_name);
+        window.VIFMSupabase.Permissions.apply();
         this.resumePageRendering();
         return true;
         
@@ -1,7 +1,18 @@
 const express = require('express');
 const path = require('path');
-const { Client } = require('@microsoft/microsoft-graph-client');
+const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
+const { getMailTransport } = require('./mail-transport');
+const { listTemplates, renderEmail, renderPreview } = require('./email-templates');
+const { FORECAST_INTERVALS, FORECAST_GROUPS, buildForecast, forecastToCsv } = require('./forecast');
+const { loadPipelineStages, findStage, getStageKeys, getStageName, getStageRuleErrors } = require('./pipeline-stages');
+const { buildWinLoss } = require('./win-loss');
+const { toBDOpportunity } = require('./conversion');
+const { DUPLICATE_TABLES, DEFAULT_WINDOW_DAYS, findMatches, findDuplicatePairs } = require('./duplicates');
+const { buildCalendarEvents, toICalendar } = require('./calendar');
+const { IMPORT_FIELDS, normalizeImportRow, describeImportFields } = require('./spreadsheet-import');
+const { getRolePermissions } = require('./permissions');
+const { getTeamMemberIds, getUserScope, getScopeConditions, buildTeamSummary } = require('./teams');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -12,140 +23,124 @@ const supabase = createClient(
   process.env.SUPABASE_ANON_KEY || ''
 );
 
-// Middleware
-app.use(express.json());
-app.use(express.static(__dirname));
+// Server-side client for background work (webhooks, notification routing). Uses the
+// service role key when configured so lookups are not limited by RLS.
+const hasServiceRole = Boolean(process.env.SUPABASE_SERVICE_ROLE_KEY);
+const supabaseAdmin = hasServiceRole
+  ? createClient(process.env.SUPABASE_URL || '', process.env.SUPABASE_SERVICE_ROLE_KEY, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    })
+  : supabase;
 
-// Cache for connection settings
-let connectionSettings = null;
+// The service role client when configured, otherwise the given (user) client - the
+// anonymous fallback above cannot read anything RLS keeps from signed-out users
+function serverClient(db) {
+  return hasServiceRole ? supabaseAdmin : db;
+}
 
-// Get Outlook access token
-async function getAccessToken() {
-  if (connectionSettings && connectionSettings.settings.expires_at && new Date(connectionSettings.settings.expires_at).getTime() > Date.now()) {
-    return connectionSettings.settings.access_token;
-  }
-  
-  const hostname = process.env.REPLIT_CONNECTORS_HOSTNAME;
-  const xReplitToken = process.env.REPL_IDENTITY 
-    ? 'repl ' + process.env.REPL_IDENTITY 
-    : process.env.WEB_REPL_RENEWAL 
-    ? 'depl ' + process.env.WEB_REPL_RENEWAL 
-    : null;
+// Create a Supabase client that acts as the calling user so RLS policies still apply
+function createUserClient(accessToken) {
+  return createClient(
+    process.env.SUPABASE_URL || '',
+    process.env.SUPABASE_ANON_KEY || '',
+    {
+      global: { headers: { Authorization: `Bearer ${accessToken}` } },
+      auth: { persistSession: false, autoRefreshToken: false }
+    }
+  );
+}
 
-  if (!xReplitToken) {
-    throw new Error('X_REPLIT_TOKEN not found for repl/depl');
+// Middleware (keep the raw body so webhook signatures can be verified)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
   }
+}));
+app.use(express.static(__dirname));
 
-  connectionSettings = await fetch(
-    'https://' + hostname + '/api/v2/connection?include_secrets=true&connector_names=outlook',
-    {
-      headers: {
-        'Accept': 'application/json',
-        'X_REPLIT_TOKEN': xReplitToken
-      }
-    }
-  ).then(res => res.json()).then(data => data.items?.[0]);
+// Recipients used when no routing rule matches an activity
+const DEFAULT_NOTIFICATION_RECIPIENTS = (process.env.NOTIFICATION_DEFAULT_RECIPIENTS || 'asadeq@viftraining.com')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
 
-  const accessToken = connectionSettings?.settings?.access_token || connectionSettings.settings?.oauth?.credentials?.access_token;
+// Email template used for each kind of activity notification (see email-templates/)
+const ACTIVITY_TEMPLATES = {
+  created: 'new-activity',
+  stage_changed: 'stage-change',
+  deleted: 'opportunity-deleted'
+};
 
-  if (!connectionSettings || !accessToken) {
-    throw new Error('Outlook not connected');
-  }
-  return accessToken;
+// Map the module names sent by the pages to the table keys used in routing rules
+const NOTIFICATION_MODULES = {
+  'Consultant Opportunities': 'opportunities',
+  'Business Development': 'bd_opportunities'
+};
+
+// A rule matches when every criterion it sets equals the activity value (NULL = any)
+function notificationRuleMatches(rule, activity) {
+  const criteria = {
+    module: activity.module,
+    pipeline_stage: activity.stage,
+    client: activity.client,
+    consultant_name: activity.consultant
+  };
+
+  return Object.entries(criteria).every(([column, value]) => {
+    if (!rule[column]) return true;
+    return (value || '').toString().trim().toLowerCase() === rule[column].toString().trim().toLowerCase();
+  });
 }
 
-// Get Outlook client
-async function getOutlookClient() {
-  const accessToken = await getAccessToken();
+// Decide who gets notified for an activity using the notification_rules table
+// activity: { module: 'opportunities' | 'bd_opportunities', stage, client, consultant }
+async function resolveNotificationRecipients(activity) {
+  let recipients = DEFAULT_NOTIFICATION_RECIPIENTS;
+
+  try {
+    const { data: rules, error } = await supabaseAdmin
+      .from('notification_rules')
+      .select('*')
+      .eq('active', true);
+
+    if (error) throw error;
+
+    const matched = (rules || [])
+      .filter(rule => notificationRuleMatches(rule, activity))
+      .map(rule => rule.recipient_email.trim().toLowerCase());
 
-  return Client.initWithMiddleware({
-    authProvider: {
-      getAccessToken: async () => accessToken
+    if (matched.length > 0) {
+      recipients = matched;
     }
-  });
+
+    // Respect per-user opt-out; deactivated users get no notifications
+    const { data: optedOut, error: optOutError } = await supabaseAdmin
+      .from('profiles')
+      .select('email')
+      .or('notifications_opt_out.eq.true,deactivated_at.not.is.null');
+
+    if (optOutError) throw optOutError;
+
+    const optedOutEmails = (optedOut || []).map(profile => profile.email.toLowerCase());
+    recipients = recipients.filter(email => !optedOutEmails.includes(email));
+  } catch (error) {
+    console.error('⚠️ Notification routing lookup failed, using defaults:', error.message || error);
+  }
+
+  return [...new Set(recipients)];
 }
 
-// Send email notification
-async function sendActivityNotification(activityData) {
+// Send an email through the configured transport
+async function sendEmail(recipients, { subject, html, text }) {
   try {
-    const client = await getOutlookClient();
-    
-    // Format activity details for email
-    const emailBody = `
-      <html>
-        <body style="font-family: 'Open Sans', Arial, sans-serif; color: #111232;">
-          <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
-            <div style="background: linear-gradient(135deg, #5391D5 0%, #010131 100%); padding: 20px; border-radius: 8px 8px 0 0;">
-              <h2 style="color: white; margin: 0;">New Activity Registered</h2>
-            </div>
-            <div style="background: #ffffff; padding: 20px; border: 1px solid #e2e8f0; border-radius: 0 0 8px 8px;">
-              <h3 style="color: #010131; margin-top: 0;">Activity Details</h3>
-              <table style="width: 100%; border-collapse: collapse;">
-                <tr>
-                  <td style="padding: 8px 0; font-weight: 600; color: #64748b; width: 150px;">Date:</td>
-                  <td style="padding: 8px 0;">${activityData.date || 'N/A'}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: 600; color: #64748b;">Company:</td>
-                  <td style="padding: 8px 0;">${activityData.company || 'N/A'}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: 600; color: #64748b;">Contact:</td>
-                  <td style="padding: 8px 0;">${activityData.contact || 'N/A'}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; font-weight: 600; color: #64748b;">Module:</td>
-                  <td style="padding: 8px 0;">${activityData.module || 'N/A'}</td>
-                </tr>
-                ${activityData.stage ? `
-                <tr>
-                  <td style="padding: 8px 0; font-weight: 600; color: #64748b;">Stage:</td>
-                  <td style="padding: 8px 0;">${activityData.stage}</td>
-                </tr>
-                ` : ''}
-                ${activityData.notes ? `
-                <tr>
-                  <td style="padding: 8px 0; font-weight: 600; color: #64748b; vertical-align: top;">Notes:</td>
-                  <td style="padding: 8px 0;">${activityData.notes}</td>
-                </tr>
-                ` : ''}
-                ${activityData.next_actions ? `
-                <tr>
-                  <td style="padding: 8px 0; font-weight: 600; color: #64748b; vertical-align: top;">Next Actions:</td>
-                  <td style="padding: 8px 0;">${activityData.next_actions}</td>
-                </tr>
-                ` : ''}
-              </table>
-              <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #e2e8f0; color: #64748b; font-size: 12px;">
-                <p style="margin: 0;">This is an automated notification from the VIFM Portal.</p>
-              </div>
-            </div>
-          </div>
-        </body>
-      </html>
-    `;
-
-    const message = {
-      subject: `New Activity: ${activityData.company || 'Unknown Company'}`,
-      body: {
-        contentType: 'HTML',
-        content: emailBody
-      },
-      toRecipients: [
-        {
-          emailAddress: {
-            address: 'asadeq@viftraining.com'
-          }
-        }
-      ]
-    };
+    if (!recipients || recipients.length === 0) {
+      console.log('📭 No notification recipients, skipping email');
+      return { success: true, skipped: true };
+    }
 
-    await client.api('/me/sendMail').post({
-      message: message,
-      saveToSentItems: true
-    });
+    await getMailTransport().send({ to: recipients, subject, html, text });
 
-    console.log('✅ Email notification sent successfully to asadeq@viftraining.com');
+    console.log('✅ Email notification sent successfully to', recipients.join(', '));
     return { success: true };
   } catch (error) {
     console.error('❌ Email notification failed:', error);
@@ -153,21 +148,35 @@ async function sendActivityNotification(activityData) {
   }
 }
 
+// Send email notification
+async function sendActivityNotification(activityData, recipients = DEFAULT_NOTIFICATION_RECIPIENTS) {
+  let email;
+  try {
+    email = await renderEmail(ACTIVITY_TEMPLATES[activityData.event] || ACTIVITY_TEMPLATES.created, {
+      ...activityData,
+      date: activityData.date || 'N/A',
+      company: activityData.company || 'Unknown Company',
+      contact: activityData.contact || 'N/A',
+      module: activityData.module || 'N/A'
+    });
+  } catch (error) {
+    console.error('❌ Email template failed:', error);
+    return { success: false, error: error.message };
+  }
+
+  return sendEmail(recipients, email);
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Helper to sanitize HTML content
-function escapeHtml(text) {
-  if (!text) return '';
-  return text
-    .toString()
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
+// Helper to normalise user-supplied values for notifications. Templates escape
+// values when they render, so data is stored as plain text.
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  return value.toString().trim();
 }
 
 // Helper to verify and decode Supabase JWT token
@@ -195,6 +204,65 @@ async function verifyAuth(req) {
   }
 }
 
+// Middleware: authenticate the request and attach user, profile, the role's permissions
+// (a Set, see permissions.js) and a user-scoped client
+async function requireAuth(req, res, next) {
+  try {
+    const user = await verifyAuth(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized - Invalid token' });
+    }
+
+    const db = createUserClient(req.headers.authorization.substring(7));
+    const { data: profile, error } = await db
+      .from('profiles')
+      .select('*')
+      .eq('email', user.email)
+      .single();
+
+    if (error || !profile) {
+      console.log('❌ Profile lookup failed for:', user.email);
+      return res.status(403).json({ error: 'User profile not found' });
+    }
+
+    if (profile.deactivated_at) {
+      console.log('❌ Deactivated user refused:', user.email);
+      return res.status(403).json({ error: 'Account deactivated' });
+    }
+
+    req.user = user;
+    req.profile = profile;
+    req.viewer = await loadViewer(serverClient(db), user.id, profile);
+    req.permissions = req.viewer.permissions;
+    req.db = db;
+    next();
+  } catch (error) {
+    console.error('❌ Auth middleware error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// What a user may see, for scopeRows: their role's permissions, the members of the teams
+// they manage and their scope (see teams.js)
+async function loadViewer(client, userId, profile) {
+  const [permissions, teamMemberIds] = await Promise.all([
+    getRolePermissions(client, profile.role),
+    getTeamMemberIds(client, userId)
+  ]);
+  return { userId, permissions, teamMemberIds, scope: getUserScope(profile) };
+}
+
+// Middleware factory: only allow callers whose role has one of the given permissions
+// (use after requireAuth)
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!permissions.some(permission => req.permissions.has(permission))) {
+      return res.status(403).json({ error: `Forbidden - requires ${permissions.join(' or ')} permission` });
+    }
+    next();
+  };
+}
+
 // API endpoint to send activity notification (authenticated)
 app.post('/api/notify-activity', async (req, res) => {
   try {
@@ -212,24 +280,33 @@ app.post('/api/notify-activity', async (req, res) => {
       return res.status(400).json({ error: 'Invalid activity data' });
     }
 
-    // Sanitize all input data before sending email
+    // Keep only the fields the email templates use
     const sanitizedData = {
-      date: escapeHtml(activityData.date),
-      company: escapeHtml(activityData.company),
-      contact: escapeHtml(activityData.contact),
-      module: escapeHtml(activityData.module),
-      stage: escapeHtml(activityData.stage),
-      notes: escapeHtml(activityData.notes),
-      next_actions: escapeHtml(activityData.next_actions)
+      date: toText(activityData.date),
+      company: toText(activityData.company),
+      contact: toText(activityData.contact),
+      module: toText(activityData.module),
+      consultant: toText(activityData.consultant),
+      stage: toText(activityData.stage),
+      notes: toText(activityData.notes),
+      next_actions: toText(activityData.next_actions)
     };
 
-    // Send email in background (non-blocking)
-    sendActivityNotification(sanitizedData).catch(err => {
-      console.error('Background email send failed:', err);
+    const recipients = await resolveNotificationRecipients({
+      module: NOTIFICATION_MODULES[activityData.module],
+      stage: activityData.stage,
+      client: activityData.company,
+      consultant: activityData.consultant
+    });
+
+    // Record in the outbox; the worker delivers it in the background with retries
+    const entry = await enqueueNotification(sanitizedData, recipients, {
+      source: 'notify-activity',
+      createdBy: user.id
     });
     
     // Respond immediately
-    res.json({ success: true, message: 'Notification queued' });
+    res.json({ success: true, message: 'Notification queued', id: entry?.id || null });
     
   } catch (error) {
     console.error('Error in notify-activity endpoint:', error);
@@ -237,43 +314,2409 @@ app.post('/api/notify-activity', async (req, res) => {
   }
 });
 
-// Supabase webhook endpoint for database triggers
+// ==================================================
+// ROW EVENT & STAGE CHANGE NOTIFICATIONS
+// ==================================================
+
+// Tables whose row events produce notifications, and the column that holds their stage
+const NOTIFICATION_TABLES = {
+  'opportunities': { module: 'Consultant Opportunities', stageColumn: 'status' },
+  'bd_opportunities': { module: 'Business Development', stageColumn: 'pipeline_stage' }
+};
+
+// Build sanitized notification data from an opportunity row
+function buildRowActivity(table, row, event, previousStage = null, stages = []) {
+  const tableConfig = NOTIFICATION_TABLES[table];
+  // BD stages are shown by name; consultant statuses are stored as shown
+  const stageName = key => table === 'bd_opportunities' && key ? getStageName(stages, key) : key;
+  return {
+    event,
+    date: toText(row.course_date || row.expected_close_date || row.created_at),
+    company: toText(row.client_company || row.client),
+    contact: toText(row.delegate_name || row.primary_contact),
+    module: tableConfig.module,
+    consultant: toText(row.consultant_name),
+    stage: toText(stageName(row[tableConfig.stageColumn])),
+    previous_stage: toText(stageName(previousStage)),
+    notes: toText(row.bd_notes || row.discussion_notes),
+    next_actions: toText(row.next_actions || row.consultant_action)
+  };
+}
+
+// Queue a notification for a row event, routed by the notification rules
+async function notifyRowEvent(table, row, activityData, { source = null, userId = null } = {}) {
+  const recipients = await resolveNotificationRecipients({
+    module: table,
+    stage: row[NOTIFICATION_TABLES[table].stageColumn],
+    client: row.client || row.client_company,
+    consultant: row.consultant_name
+  });
+
+  return enqueueNotification(activityData, recipients, { source, createdBy: userId });
+}
+
+// The move that brought a BD opportunity into its current stage, from bd_stage_history
+// (written by a trigger, so it cannot be made up by the caller), or null
+async function findLatestStageMove(row) {
+  const { data, error } = await supabaseAdmin
+    .from('bd_stage_history')
+    .select('id, from_stage, to_stage')
+    .eq('opportunity_id', row.id)
+    .eq('to_stage', row.pipeline_stage)
+    .order('changed_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Claim a stage change so it is notified once, however many sources report it (the
+// page, the REST API and the database webhook). Returns false when it was already
+// claimed. Claims share webhook_events, whose primary key makes the claim atomic.
+async function claimStageChange(key, table, rowId) {
+  const { error } = await supabaseAdmin
+    .from('webhook_events')
+    .insert({ event_key: key, event_type: 'STAGE_CHANGE', table_name: table, record_id: String(rowId) });
+
+  if (error) {
+    if (error.code === '23505') return false; // unique violation: already notified
+    throw error;
+  }
+  return true;
+}
+
+// Record a stage change in activity_log and notify about it. Returns null when the
+// stage did not change or the change was already notified. A BD opportunity's previous
+// stage is read from bd_stage_history, and its history row identifies the move; a
+// consultant opportunity's move is identified by the row version (updated_at).
+async function notifyStageChange(table, row, previousStage, { source = null, userId = null } = {}) {
+  const stage = row[NOTIFICATION_TABLES[table].stageColumn];
+  if (!stage) return null;
+
+  let claimKey;
+  if (table === 'bd_opportunities') {
+    const move = await findLatestStageMove(row);
+    if (!move || !move.from_stage) return null;
+    previousStage = move.from_stage;
+    claimKey = `stage-change:${move.id}`;
+  } else {
+    if (stage === previousStage) return null;
+    claimKey = `stage-change:${table}:${row.id}:${previousStage || ''}:${stage}:${row.updated_at || ''}`;
+  }
+
+  if (!(await claimStageChange(claimKey, table, row.id))) {
+    console.log('♻️ Stage change already notified:', row.id);
+    return null;
+  }
+
+  try {
+    const { error: logError } = await supabaseAdmin
+      .from('activity_log')
+      .insert({
+        user_id: userId,
+        action: 'stage_changed',
+        entity_type: table,
+        entity_id: row.id,
+        details: {
+          from: previousStage || null,
+          to: stage,
+          client: row.client || row.client_company,
+          course_title: row.course_title
+        }
+      });
+
+    if (logError) console.error('⚠️ Could not record stage change:', logError.message);
+
+    const stages = await loadPipelineStages(supabaseAdmin);
+    return await notifyRowEvent(table, row, buildRowActivity(table, row, 'stage_changed', previousStage, stages), { source, userId });
+  } catch (error) {
+    // Release the claim so a later report of the same move is notified
+    await releaseWebhookEvent(claimKey);
+    throw error;
+  }
+}
+
+// API endpoint for pages to report a BD stage change they saved (authenticated). The row
+// is re-read as the user, so only records they can see are notified, and the previous
+// stage comes from bd_stage_history rather than from the page.
+app.post('/api/notify-stage-change', requireAuth, async (req, res) => {
+  try {
+    const { table, id } = req.body || {};
+    if (table !== 'bd_opportunities' || !id) {
+      return res.status(400).json({ error: 'Invalid stage change' });
+    }
+
+    const { data: row, error } = await req.db.from(table).select('*').eq('id', id).maybeSingle();
+    if (error) throw error;
+    if (!row) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const entry = await notifyStageChange(table, row, null, {
+      source: 'notify-stage-change',
+      userId: req.user.id
+    });
+
+    res.json({ success: true, queued: !!entry, id: entry?.id || null });
+  } catch (error) {
+    console.error('Error in notify-stage-change endpoint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================================================
+// SUPABASE WEBHOOK
+// ==================================================
+
+// Compare two strings in constant time
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Accept either an HMAC-SHA256 signature of the raw body (x-webhook-signature: sha256=<hex>)
+// or the shared secret itself (x-webhook-secret or Authorization: Bearer), since Supabase
+// database webhooks can only send static headers.
+function verifyWebhookRequest(req) {
+  const secret = process.env.SUPABASE_WEBHOOK_SECRET;
+  if (!secret) return false;
+
+  const signature = req.headers['x-webhook-signature'];
+  if (signature) {
+    const expected = crypto.createHmac('sha256', secret).update(req.rawBody || '').digest('hex');
+    return safeEqual(signature.replace(/^sha256=/, ''), expected);
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const provided = req.headers['x-webhook-secret'] || (authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null);
+  return !!provided && safeEqual(provided, secret);
+}
+
+// Identify an event so redeliveries can be recognised. Prefer an id supplied by the
+// sender; otherwise a redelivery carries the exact same body, so hash it.
+function getWebhookEventKey(req) {
+  const eventId = req.headers['webhook-id'] || req.headers['x-webhook-id'];
+  if (eventId) return `id:${eventId}`;
+  return 'sha256:' + crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+}
+
+// Record an event as received. Returns false when it has been processed before.
+async function claimWebhookEvent(eventKey, payload) {
+  const record = payload.record || payload.old_record || {};
+  const { error } = await supabaseAdmin
+    .from('webhook_events')
+    .insert({
+      event_key: eventKey,
+      event_type: payload.type,
+      table_name: payload.table,
+      record_id: record.id ? String(record.id) : null
+    });
+
+  if (error) {
+    if (error.code === '23505') return false; // unique violation: already seen
+    throw error;
+  }
+  return true;
+}
+
+// Forget an event we could not process so Supabase's redelivery is handled
+async function releaseWebhookEvent(eventKey) {
+  const { error } = await supabaseAdmin.from('webhook_events').delete().eq('event_key', eventKey);
+  if (error) console.error('⚠️ Could not release webhook event:', error.message);
+}
+
+// Work out which row and event a webhook describes, or null when it is not worth an email
+function parseWebhookEvent(payload) {
+  const tableConfig = NOTIFICATION_TABLES[payload.table];
+  if (!tableConfig) return null;
+
+  if (payload.type === 'INSERT' && payload.record) {
+    return { event: 'created', row: payload.record };
+  }
+  if (payload.type === 'UPDATE' && payload.record && payload.old_record) {
+    // Only stage changes are notified; other edits are too frequent to email about
+    const previousStage = payload.old_record[tableConfig.stageColumn];
+    if (payload.record[tableConfig.stageColumn] === previousStage) return null;
+    return { event: 'stage_changed', row: payload.record, previousStage };
+  }
+  if (payload.type === 'DELETE' && payload.old_record) {
+    return { event: 'deleted', row: payload.old_record };
+  }
+  return null;
+}
+
+// Supabase webhook endpoint for database triggers (INSERT, UPDATE and DELETE)
 app.post('/api/supabase-webhook', async (req, res) => {
+  if (!process.env.SUPABASE_WEBHOOK_SECRET) {
+    console.error('❌ Rejected webhook: SUPABASE_WEBHOOK_SECRET is not configured');
+    return res.status(503).json({ received: false, error: 'Webhook secret not configured' });
+  }
+
+  if (!verifyWebhookRequest(req)) {
+    console.warn('🚫 Rejected webhook with invalid signature');
+    return res.status(401).json({ received: false, error: 'Invalid webhook signature' });
+  }
+
+  const payload = req.body || {};
+  console.log('📨 Received Supabase webhook:', payload.type, payload.table);
+
+  const parsed = parseWebhookEvent(payload);
+  if (!parsed) {
+    return res.json({ received: true, ignored: true });
+  }
+
+  const eventKey = getWebhookEventKey(req);
+
   try {
-    // Parse webhook payload
-    const payload = req.body;
-    
-    console.log('📨 Received Supabase webhook:', payload.type);
-    
-    // Check if this is an INSERT event on activity-related table
-    if (payload.type === 'INSERT' && payload.record) {
-      const activityData = {
-        date: payload.record.date || payload.record.created_at,
-        company: payload.record.company_name || payload.record.company,
-        contact: payload.record.contact_person || payload.record.contact,
-        module: payload.table === 'bd_opportunities' ? 'Business Development' : 'Consultant Opportunities',
-        stage: payload.record.stage,
-        notes: payload.record.bd_notes || payload.record.consultant_notes || payload.record.notes,
-        next_actions: payload.record.next_actions
-      };
-      
-      // Send email notification
-      await sendActivityNotification(activityData);
+    if (!(await claimWebhookEvent(eventKey, payload))) {
+      console.log('♻️ Duplicate webhook event ignored:', eventKey);
+      return res.json({ received: true, duplicate: true });
     }
-    
-    // Always respond 200 to prevent webhook retries
-    res.json({ received: true });
+  } catch (error) {
+    console.error('Error recording webhook event:', error);
+    return res.status(500).json({ received: false, error: error.message });
+  }
+
+  try {
+    const { event, row, previousStage } = parsed;
+
+    // Record in the outbox; delivery failures are retried by the worker
+    const entry = event === 'stage_changed'
+      ? await notifyStageChange(payload.table, row, previousStage, { source: 'webhook' })
+      : await notifyRowEvent(payload.table, row, buildRowActivity(payload.table, row, event, null, await loadPipelineStages(supabaseAdmin)), { source: 'webhook' });
+    res.json({ received: true, id: entry?.id || null });
   } catch (error) {
     console.error('Error in webhook endpoint:', error);
-    // Still return 200 to prevent retries
-    res.status(200).json({ received: true, error: error.message });
+    await releaseWebhookEvent(eventKey);
+    // Non-2xx so Supabase redelivers events we could not record
+    res.status(500).json({ received: false, error: error.message });
   }
 });
 
-// No catch-all route needed - express.static handles all files
+// ==================================================
+// OPPORTUNITIES REST API
+// ==================================================
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 VIFM Portal server running on http://0.0.0.0:${PORT}`);
-  console.log('📧 Email notifications enabled via Microsoft Outlook');
+const TASK_ENTITY_TYPES = ['opportunities', 'bd_opportunities'];
+const TASK_STATUSES = ['open', 'done', 'cancelled'];
+
+// Resource definitions: the permissions needed to read and write (null = any signed-in
+// user), which columns are writable, filterable and sortable. Users without
+// allRowsPermission only ever see rows they or their team members created; on scoped
+// resources, users with a scope only see other people's rows in their cities / clients.
+// clientColumns: the text columns that hold the linked client's and contact's names.
+// allowedValues: the values a column accepts.
+const API_RESOURCES = {
+  'opportunities': {
+    table: 'opportunities',
+    ownerColumn: 'created_by',
+    readPermission: 'opportunities.read',
+    writePermission: 'opportunities.write',
+    allRowsPermission: 'opportunities.read_all',
+    scoped: true,
+    required: ['course_title', 'client_company'],
+    fields: [
+      'course_title', 'client_company', 'course_date', 'delegate_name', 'delegate_title',
+      'delegate_email', 'phone_number', 'city', 'priority', 'status', 'discussion_notes',
+      'consultant_action', 'bd_action', 'consultant_name', 'client_id', 'contact_id'
+    ],
+    clientColumns: { client: 'client_company', contact: 'delegate_name' },
+    filters: ['status', 'priority', 'city', 'consultant_name', 'client_company', 'client_id', 'created_by'],
+    search: ['client_company', 'course_title', 'delegate_name'],
+    sortable: ['created_at', 'updated_at', 'course_date', 'client_company', 'course_title', 'status', 'priority']
+  },
+  'bd-opportunities': {
+    table: 'bd_opportunities',
+    ownerColumn: null,
+    readPermission: 'bd.read',
+    writePermission: 'bd.write',
+    allRowsPermission: null,
+    scoped: true,
+    required: ['course_title', 'client'],
+    fields: [
+      'source_opportunity_id', 'course_title', 'client', 'city', 'consultant_name',
+      'primary_contact', 'contact_title', 'contact_email', 'contact_phone', 'estimated_budget',
+      'pipeline_stage', 'probability', 'expected_close_date', 'competitors', 'bd_notes',
+      'next_actions', 'bd_prof', 'bd_prof_id', 'loss_reason', 'loss_notes', 'competitor_ids', 'client_id', 'contact_id'
+    ],
+    clientColumns: { client: 'client', contact: 'primary_contact' },
+    filters: ['pipeline_stage', 'client', 'client_id', 'city', 'consultant_name', 'bd_prof', 'bd_prof_id', 'source_opportunity_id'],
+    search: ['client', 'course_title', 'primary_contact'],
+    sortable: [
+      'created_at', 'updated_at', 'expected_close_date', 'estimated_budget', 'probability',
+      'client', 'course_title', 'pipeline_stage'
+    ]
+  },
+  'tasks': {
+    table: 'tasks',
+    ownerColumn: 'created_by',
+    readPermission: null,
+    writePermission: null,
+    allRowsPermission: null, // the tasks policies already limit rows to the assignee, creator and tasks.read_all
+    required: ['entity_type', 'entity_id', 'title', 'assigned_to'],
+    fields: ['entity_type', 'entity_id', 'entity_label', 'title', 'notes', 'due_date', 'assigned_to', 'status'],
+    allowedValues: { entity_type: TASK_ENTITY_TYPES, status: TASK_STATUSES },
+    filters: ['status', 'assigned_to', 'entity_type', 'entity_id', 'created_by'],
+    search: ['title', 'entity_label'],
+    sortable: ['created_at', 'updated_at', 'due_date', 'status', 'title']
+  }
+};
+
+// Keep only writable columns and validate values; returns { data } or { error }.
+// stages: the configured pipeline stages (see pipeline-stages.js)
+function sanitizeResourceInput(resource, input, isCreate, stages) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Request body must be a JSON object' };
+  }
+
+  const data = {};
+  resource.fields.forEach(field => {
+    if (input[field] !== undefined) {
+      data[field] = input[field] === '' ? null : input[field];
+    }
+  });
+
+  if (isCreate) {
+    // A linked client supplies the client name (see applyClientNames)
+    const missing = resource.required
+      .filter(field => !(data.client_id && field === resource.clientColumns?.client))
+      .filter(field => !data[field] || !data[field].toString().trim());
+    if (missing.length > 0) {
+      return { error: `Missing required fields: ${missing.join(', ')}` };
+    }
+  } else if (Object.keys(data).length === 0) {
+    return { error: 'No updatable fields provided' };
+  }
+
+  const invalid = Object.entries(resource.allowedValues || {})
+    .find(([field, values]) => data[field] !== undefined && data[field] !== null && !values.includes(data[field]));
+  if (invalid) {
+    return { error: `Invalid ${invalid[0]}. Allowed: ${invalid[1].join(', ')}` };
+  }
+
+  if (data.pipeline_stage !== undefined && !findStage(stages, data.pipeline_stage)) {
+    return { error: `Invalid pipeline_stage. Allowed: ${stages.map(stage => stage.key).join(', ')}` };
+  }
+
+  if (data.probability !== undefined && data.probability !== null) {
+    const probability = Number(data.probability);
+    if (!Number.isInteger(probability) || probability < 0 || probability > 100) {
+      return { error: 'probability must be an integer between 0 and 100' };
+    }
+    data.probability = probability;
+  }
+
+  if (data.competitor_ids !== undefined) {
+    const ids = data.competitor_ids || [];
+    if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+      return { error: 'competitor_ids must be a list of competitor ids' };
+    }
+    data.competitor_ids = [...new Set(ids)];
+  }
+
+  if (data.estimated_budget !== undefined && data.estimated_budget !== null) {
+    const budget = Number(data.estimated_budget);
+    if (!Number.isFinite(budget) || budget < 0) {
+      return { error: 'estimated_budget must be a positive number' };
+    }
+    data.estimated_budget = budget;
+  }
+
+  return { data };
+}
+
+// Keep the competitors text (shown in lists, exports and emails) in step with the
+// linked competitor_ids
+async function applyCompetitorNames(db, input) {
+  if (input.competitor_ids === undefined) return;
+
+  const { data, error } = input.competitor_ids.length > 0
+    ? await db.from('competitors').select('id, name').in('id', input.competitor_ids)
+    : { data: [], error: null };
+  if (error) throw error;
+
+  const names = new Map(data.map(competitor => [competitor.id, competitor.name]));
+  input.competitor_ids = input.competitor_ids.filter(id => names.has(id));
+  input.competitors = input.competitor_ids.map(id => names.get(id)).join(', ') || null;
+}
+
+// Fill the client and contact name columns from the linked client_id / contact_id so
+// the text stays in step with the clients table. Returns an error message for a client
+// or contact that does not exist, or a contact of another client.
+async function applyClientNames(db, resource, input) {
+  if (!resource.clientColumns) return null;
+
+  if (input.client_id) {
+    const { data: client, error } = await db.from('clients').select('id, name').eq('id', input.client_id).maybeSingle();
+    if (error) throw error;
+    if (!client) return 'Unknown client_id';
+    input[resource.clientColumns.client] = client.name;
+  }
+
+  if (input.contact_id) {
+    const { data: contact, error } = await db.from('contacts').select('id, client_id, name').eq('id', input.contact_id).maybeSingle();
+    if (error) throw error;
+    if (!contact) return 'Unknown contact_id';
+    if (input.client_id && contact.client_id !== input.client_id) return 'contact_id belongs to another client';
+    input[resource.clientColumns.contact] = contact.name;
+  }
+
+  return null;
+}
+
+// Store the assignee's name with a task (other users' profiles are not readable).
+// Returns an error message for an unknown user.
+async function applyAssigneeName(resource, input) {
+  if (resource.table !== 'tasks' || !input.assigned_to) return null;
+
+  const { data: assignee, error } = await supabaseAdmin
+    .from('profiles')
+    .select('full_name, email')
+    .eq('user_id', input.assigned_to)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!assignee) return 'Unknown assigned_to';
+  input.assigned_name = assignee.full_name || assignee.email;
+  return null;
+}
+
+// Fill in what the server sets on a new record: its owner, the linked client and contact
+// names, a task's assignee name and, for BD opportunities, the BD professional, starting
+// stage, probability and competitor names. Returns an error message when the record
+// breaks a rule.
+async function prepareCreate(req, resource, input, stages) {
+  if (resource.ownerColumn) {
+    input[resource.ownerColumn] = req.user.id;
+  }
+  const clientError = await applyClientNames(req.db, resource, input);
+  if (clientError) return clientError;
+
+  if (resource.table === 'tasks') {
+    input.created_by_name = req.profile.full_name || req.user.email;
+    const assigneeError = await applyAssigneeName(resource, input);
+    if (assigneeError) return assigneeError;
+  }
+
+  if (resource.table === 'bd_opportunities') {
+    if (!input.bd_prof) {
+      input.bd_prof = req.profile.full_name;
+      input.bd_prof_id = req.user.id;
+    }
+    // New deals start in the first stage, at that stage's default probability
+    if (!input.pipeline_stage) {
+      input.pipeline_stage = stages[0].key;
+    }
+    if (input.probability === undefined || input.probability === null) {
+      input.probability = findStage(stages, input.pipeline_stage).default_probability;
+    }
+    await applyCompetitorNames(req.db, input);
+
+    const ruleErrors = getStageRuleErrors(stages, null, input);
+    if (ruleErrors.length > 0) return ruleErrors.join('; ');
+  }
+
+  return null;
+}
+
+// Whether permissions (a Set) allow seeing other users' rows of a resource
+function canReadAllRows(resource, permissions) {
+  return !resource.ownerColumn || !resource.allRowsPermission || permissions.has(resource.allRowsPermission);
+}
+
+// Limit a read to the rows a viewer may see: their own and their team members' rows
+// unless they may see all of them, and on scoped resources only rows within their scope
+// when they have one. Mirrors the RLS policies, for queries that bypass them.
+function scopeRows(query, resource, viewer) {
+  if (!canReadAllRows(resource, viewer.permissions)) {
+    return query.in(resource.ownerColumn, [viewer.userId, ...viewer.teamMemberIds]);
+  }
+  if (resource.scoped && viewer.scope) {
+    const own = resource.ownerColumn ? [`${resource.ownerColumn}.eq.${viewer.userId}`] : [];
+    return query.or([...own, ...getScopeConditions(viewer.scope)].join(','));
+  }
+  return query;
+}
+
+// Limit a query to the rows the caller may read, or for action 'write' to the rows they
+// may change: their own unless they may see all rows (managers only read their team's)
+function scopeQuery(query, resource, req, action = 'read') {
+  if (action === 'write') {
+    return canReadAllRows(resource, req.permissions) ? query : query.eq(resource.ownerColumn, req.user.id);
+  }
+  return scopeRows(query, resource, req.viewer);
+}
+
+// Middleware factory: reject callers without the resource's permission for this action
+function requireResourcePermission(resource, action) {
+  return (req, res, next) => {
+    const permission = action === 'write' ? resource.writePermission : resource.readPermission;
+    if (permission && !req.permissions.has(permission)) {
+      return res.status(403).json({ error: `Forbidden - requires ${permission} permission to ${action} ${resource.table}` });
+    }
+    next();
+  };
+}
+
+// An activity_log row for an action of the calling user. Inserts, updates and deletes
+// are recorded by the record_audit trigger (database_schema.sql); the server adds the
+// entries no single row change shows: merges, conversions and reassignments.
+function buildAuditEntry(req, action, table, id, changes) {
+  return {
+    user_id: req.user.id,
+    action,
+    entity_type: table,
+    entity_id: id,
+    details: {
+      changes,
+      actor_name: req.profile.full_name || req.user.email,
+      actor_email: req.user.email
+    }
+  };
+}
+
+// Record an action in activity_log for the calling user. Users cannot write the log, so
+// this needs the service role key. Never fails the request.
+async function recordAudit(req, action, table, id, changes) {
+  if (Object.keys(changes).length === 0) return;
+
+  const { error } = await supabaseAdmin
+    .from('activity_log')
+    .insert(buildAuditEntry(req, action, table, id, changes));
+
+  if (error) console.error(`⚠️ Could not record ${action} on ${table} ${id}:`, error.message);
+}
+
+// Register list/get/create/update/delete routes for a resource
+function registerResourceRoutes(path, resource) {
+  const base = `/api/${path}`;
+
+  // List with filtering (?status=new), search (?q=acme), sorting (?sort=-created_at) and pagination
+  app.get(base, requireAuth, requireResourcePermission(resource, 'read'), async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || 25, 1), 100);
+
+      let query = req.db.from(resource.table).select('*', { count: 'exact' });
+      query = scopeQuery(query, resource, req);
+
+      resource.filters.forEach(column => {
+        if (req.query[column] !== undefined && req.query[column] !== '') {
+          query = query.eq(column, req.query[column]);
+        }
+      });
+
+      if (req.query.q) {
+        // Strip characters that have meaning in PostgREST filter syntax
+        const term = req.query.q.toString().replace(/[,()*%]/g, ' ').trim();
+        if (term) {
+          query = query.or(resource.search.map(column => `${column}.ilike.%${term}%`).join(','));
+        }
+      }
+
+      const sortParam = (req.query.sort || '-created_at').toString();
+      const sortColumn = sortParam.replace(/^-/, '');
+      if (!resource.sortable.includes(sortColumn)) {
+        return res.status(400).json({ error: `Cannot sort by ${sortColumn}` });
+      }
+      query = query.order(sortColumn, { ascending: !sortParam.startsWith('-') });
+
+      const from = (page - 1) * pageSize;
+      const { data, error, count } = await query.range(from, from + pageSize - 1);
+      if (error) throw error;
+
+      res.json({
+        data,
+        pagination: { page, pageSize, total: count, totalPages: Math.ceil((count || 0) / pageSize) }
+      });
+    } catch (error) {
+      console.error(`Error listing ${resource.table}:`, error);
+      res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+  });
+
+  // Get a single record
+  app.get(`${base}/:id`, requireAuth, requireResourcePermission(resource, 'read'), async (req, res) => {
+    try {
+      const query = scopeQuery(req.db.from(resource.table).select('*').eq('id', req.params.id), resource, req);
+      const { data, error } = await query.maybeSingle();
+      if (error) throw error;
+      if (!data) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      res.json({ data });
+    } catch (error) {
+      console.error(`Error fetching ${resource.table}:`, error);
+      res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+  });
+
+  // Create a record
+  app.post(base, requireAuth, requireResourcePermission(resource, 'write'), async (req, res) => {
+    try {
+      const stages = await loadPipelineStages(serverClient(req.db));
+      const { data: input, error: validationError } = sanitizeResourceInput(resource, req.body, true, stages);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const createError = await prepareCreate(req, resource, input, stages);
+      if (createError) {
+        return res.status(400).json({ error: createError });
+      }
+
+      const { data, error } = await req.db.from(resource.table).insert(input).select().single();
+      if (error) {
+        // Stage rules broken by a concurrent change (check_bd_stage_rules)
+        if (error.code === '23514') return res.status(400).json({ error: error.message });
+        // Refused by RLS, e.g. a task on an opportunity the caller cannot see
+        if (error.code === '42501') return res.status(403).json({ error: `Forbidden - not allowed to add this row to ${resource.table}` });
+        throw error;
+      }
+
+      console.log(`✅ ${req.user.email} created ${resource.table} ${data.id}`);
+      res.status(201).json({ data });
+    } catch (error) {
+      console.error(`Error creating ${resource.table}:`, error);
+      res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+  });
+
+  // Update a record
+  app.patch(`${base}/:id`, requireAuth, requireResourcePermission(resource, 'write'), async (req, res) => {
+    try {
+      const stages = await loadPipelineStages(serverClient(req.db));
+      const { data: input, error: validationError } = sanitizeResourceInput(resource, req.body, false, stages);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      input.updated_at = new Date().toISOString();
+
+      // Read the current version for the stage rules and stage change notification
+      const { data: previous, error: readError } = await scopeQuery(
+        req.db.from(resource.table).select('*').eq('id', req.params.id), resource, req, 'write'
+      ).maybeSingle();
+      if (readError) throw readError;
+      if (!previous) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+
+      const linkError = await applyClientNames(req.db, resource, input) || await applyAssigneeName(resource, input);
+      if (linkError) {
+        return res.status(400).json({ error: linkError });
+      }
+
+      if (resource.table === 'bd_opportunities') {
+        await applyCompetitorNames(req.db, input);
+        const ruleErrors = getStageRuleErrors(stages, previous, input);
+        if (ruleErrors.length > 0) {
+          return res.status(400).json({ error: ruleErrors.join('; ') });
+        }
+      }
+
+      const query = scopeQuery(req.db.from(resource.table).update(input).eq('id', req.params.id), resource, req, 'write');
+      const { data, error } = await query.select().maybeSingle();
+      if (error) {
+        if (error.code === '23514') return res.status(400).json({ error: error.message });
+        throw error;
+      }
+      if (!data) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+
+      console.log(`✅ ${req.user.email} updated ${resource.table} ${data.id}`);
+      res.json({ data });
+
+      const stageColumn = NOTIFICATION_TABLES[resource.table]?.stageColumn;
+      if (stageColumn && previous[stageColumn] !== data[stageColumn]) {
+        notifyStageChange(resource.table, data, previous[stageColumn], { source: 'api', userId: req.user.id })
+          .catch(err => console.error('❌ Stage change notification failed:', err));
+      }
+    } catch (error) {
+      console.error(`Error updating ${resource.table}:`, error);
+      res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+  });
+
+  // Delete a record
+  app.delete(`${base}/:id`, requireAuth, requireResourcePermission(resource, 'write'), async (req, res) => {
+    try {
+      const query = scopeQuery(req.db.from(resource.table).delete().eq('id', req.params.id), resource, req, 'write');
+      const { data, error } = await query.select('*');
+      if (error) throw error;
+      if (!data || data.length === 0) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+
+      console.log(`🗑️ ${req.user.email} deleted ${resource.table} ${req.params.id}`);
+      res.json({ success: true });
+    } catch (error) {
+      console.error(`Error deleting ${resource.table}:`, error);
+      res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+  });
+}
+
+Object.entries(API_RESOURCES).forEach(([path, resource]) => registerResourceRoutes(path, resource));
+
+// ==================================================
+// CLIENTS
+// ==================================================
+
+// Merge duplicate clients into this one (body: { source_ids: [...] }). Opportunities
+// and contacts move to the kept client and the duplicates are deleted, in one
+// transaction (merge_clients() in database_schema.sql).
+app.post('/api/clients/:id/merge', requireAuth, requirePermission('clients.manage'), async (req, res) => {
+  try {
+    const sourceIds = req.body?.source_ids;
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0 || sourceIds.some(id => typeof id !== 'string')) {
+      return res.status(400).json({ error: 'source_ids must be a list of client ids' });
+    }
+    if (sourceIds.includes(req.params.id)) {
+      return res.status(400).json({ error: 'A client cannot be merged into itself' });
+    }
+
+    const { data: clients, error: clientsError } = await req.db
+      .from('clients')
+      .select('id, name')
+      .in('id', [req.params.id, ...sourceIds]);
+    if (clientsError) throw clientsError;
+
+    const target = clients.find(client => client.id === req.params.id);
+    if (!target) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+    const sources = clients.filter(client => client.id !== target.id);
+    if (sources.length !== new Set(sourceIds).size) {
+      return res.status(404).json({ error: 'One or more clients to merge were not found' });
+    }
+
+    const { data: result, error } = await req.db.rpc('merge_clients', {
+      target_id: target.id,
+      source_ids: sources.map(client => client.id)
+    });
+    if (error) throw error;
+
+    console.log(`🔀 ${req.user.email} merged ${sources.length} client(s) into ${target.name}`);
+    await recordAudit(req, 'merge', 'clients', target.id, {
+      merged_clients: { from: sources.map(client => client.name), to: target.name }
+    });
+    res.json({ data: result });
+  } catch (error) {
+    console.error('Error merging clients:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// ==================================================
+// CONSULTANT -> BD CONVERSION
+// ==================================================
+
+// Tell the consultant who entered an opportunity that BD has taken it on
+async function notifyConversion(req, source, bdOpportunity, stages) {
+  if (!source.created_by) return null;
+
+  const { data: owner, error } = await supabaseAdmin
+    .from('profiles')
+    .select('email, full_name, notifications_opt_out, deactivated_at')
+    .eq('user_id', source.created_by)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!owner?.email || owner.notifications_opt_out || owner.deactivated_at) return null;
+
+  return enqueueNotification({
+    template: 'opportunity-converted',
+    data: {
+      name: owner.full_name || owner.email,
+      converted_by: req.profile.full_name || req.user.email,
+      client: toText(bdOpportunity.client),
+      course_title: toText(bdOpportunity.course_title),
+      stage: getStageName(stages, bdOpportunity.pipeline_stage),
+      bd_prof: toText(bdOpportunity.bd_prof)
+    }
+  }, [owner.email], { source: 'convert', createdBy: req.user.id });
+}
+
+// Convert a consultant opportunity into a BD opportunity (BD users and admins). The body
+// holds the BD details (stage, budget, BD professional, ...); fields it leaves out are
+// taken from the consultant opportunity (see conversion.js). The source is marked as
+// converted by the database and its consultant is emailed. An opportunity converted
+// before is refused with 409 unless the body has "reconvert": true.
+app.post('/api/opportunities/:id/convert', requireAuth, requirePermission('bd.write'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (typeof body !== 'object' || Array.isArray(body)) {
+      return res.status(400).json({ error: 'Request body must be a JSON object' });
+    }
+
+    const { data: source, error: sourceError } = await req.db
+      .from('opportunities')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (sourceError) throw sourceError;
+    if (!source) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    if (source.bd_opportunity_id && body.reconvert !== true) {
+      return res.status(409).json({
+        error: 'This opportunity is already in the BD pipeline',
+        bd_opportunity_id: source.bd_opportunity_id
+      });
+    }
+
+    const resource = API_RESOURCES['bd-opportunities'];
+    const stages = await loadPipelineStages(serverClient(req.db));
+    const { data: input, error: validationError } = sanitizeResourceInput(
+      resource, { ...toBDOpportunity(source), ...body }, true, stages
+    );
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    input.source_opportunity_id = source.id;
+
+    const createError = await prepareCreate(req, resource, input, stages);
+    if (createError) {
+      return res.status(400).json({ error: createError });
+    }
+
+    const { data, error } = await req.db.from('bd_opportunities').insert(input).select().single();
+    if (error) throw error;
+
+    console.log(`🔁 ${req.user.email} converted opportunity ${source.id} into BD opportunity ${data.id}`);
+    await recordAudit(req, 'convert', 'opportunities', source.id, {
+      bd_opportunity_id: { from: source.bd_opportunity_id || null, to: data.id }
+    });
+    res.status(201).json({ data });
+
+    notifyConversion(req, source, data, stages)
+      .catch(err => console.error('❌ Conversion notification failed:', err));
+  } catch (error) {
+    console.error('Error converting opportunity:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// ==================================================
+// DUPLICATES
+// ==================================================
+
+const MERGE_FUNCTIONS = {
+  opportunities: 'merge_opportunities',
+  bd_opportunities: 'merge_bd_opportunities'
+};
+const MAX_DUPLICATE_CHECKS = 500;
+
+// Validate the table and date window of a duplicates request; returns { table, windowDays } or { error }
+function parseDuplicateOptions(req, table) {
+  if (!DUPLICATE_TABLES[table]) {
+    return { error: `Invalid table. Allowed: ${Object.keys(DUPLICATE_TABLES).join(', ')}` };
+  }
+  if (table === 'bd_opportunities' && !req.permissions.has('bd.read')) {
+    return { error: 'Forbidden - requires bd.read permission', status: 403 };
+  }
+
+  const windowParam = req.body?.window_days ?? req.query.window_days;
+  const windowDays = windowParam === undefined ? DEFAULT_WINDOW_DAYS : Number(windowParam);
+  if (!Number.isInteger(windowDays) || windowDays < 0 || windowDays > 365) {
+    return { error: 'window_days must be a whole number of days between 0 and 365' };
+  }
+  return { table, windowDays };
+}
+
+// Matches are found among every user's rows (read with the server client), so consultants
+// hear about leads other consultants already logged. Matches the caller cannot read
+// themselves (RLS hides other consultants' leads and rows outside their scope) are cut
+// down to { id, own, reasons }; the rest get own (created by the caller) added.
+const READABLE_ID_BATCH = 200; // ids per lookup, to keep the query string short
+
+async function limitMatchesToReadable(req, table, matchLists) {
+  const ids = [...new Set(matchLists.flat().map(match => match.id))];
+  const readable = new Set();
+  for (let start = 0; start < ids.length; start += READABLE_ID_BATCH) {
+    const { data, error } = await req.db.from(table).select('id').in('id', ids.slice(start, start + READABLE_ID_BATCH));
+    if (error) throw error;
+    data.forEach(row => readable.add(row.id));
+  }
+
+  return matchLists.map(matches => matches.map(({ created_by, ...match }) => {
+    const own = created_by === req.user.id;
+    return readable.has(match.id) ? { ...match, own } : { id: match.id, own, reasons: match.reasons };
+  }));
+}
+
+// Likely duplicates of unsaved or saved records (body: { table, records, source_table,
+// window_days }). table is where to look; source_table the table the records come from
+// (defaults to table) - e.g. consultant opportunities checked against the BD pipeline
+// before importing. Looks across every user's opportunities (see limitMatchesToReadable);
+// returns one list of matches per record.
+app.post('/api/duplicates/check', requireAuth, async (req, res) => {
+  try {
+    const { table, windowDays, error: optionsError, status } = parseDuplicateOptions(req, req.body?.table);
+    if (optionsError) {
+      return res.status(status || 400).json({ error: optionsError });
+    }
+
+    const sourceTable = req.body.source_table || table;
+    const records = req.body.records;
+    if (!DUPLICATE_TABLES[sourceTable]) {
+      return res.status(400).json({ error: 'Invalid source_table' });
+    }
+    if (!Array.isArray(records) || records.length === 0 || records.some(record => !record || typeof record !== 'object')) {
+      return res.status(400).json({ error: 'records must be a list of opportunities' });
+    }
+    if (records.length > MAX_DUPLICATE_CHECKS) {
+      return res.status(400).json({ error: `At most ${MAX_DUPLICATE_CHECKS} records can be checked at once` });
+    }
+
+    const candidates = await fetchAllRows(() => supabaseAdmin
+      .from(table)
+      .select(DUPLICATE_TABLES[table].columns)
+      .order('id'));
+
+    const data = await limitMatchesToReadable(req, table,
+      records.map(record => findMatches(record, candidates, { recordTable: sourceTable, candidateTable: table, windowDays })));
+
+    res.json({ data });
+  } catch (error) {
+    console.error('Error checking for duplicates:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// BD and admin: every pair of likely duplicates in a table (?table=&window_days=)
+app.get('/api/duplicates', requireAuth, requirePermission('bd.read'), async (req, res) => {
+  try {
+    const { table, windowDays, error: optionsError } = parseDuplicateOptions(req, req.query.table || 'bd_opportunities');
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const rows = await fetchAllRows(() => req.db
+      .from(table)
+      .select(DUPLICATE_TABLES[table].columns)
+      .order('id'));
+
+    res.json({ data: findDuplicatePairs(rows, { table, windowDays }), table, window_days: windowDays });
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Merge a duplicate into the opportunity kept (body: { table, keep_id, duplicate_id });
+// see merge_opportunities() in database_schema.sql
+app.post('/api/duplicates/merge', requireAuth, async (req, res) => {
+  try {
+    const { table, keep_id: keepId, duplicate_id: duplicateId } = req.body || {};
+    const { error: optionsError, status } = parseDuplicateOptions(req, table);
+    if (optionsError) {
+      return res.status(status || 400).json({ error: optionsError });
+    }
+    const { writePermission } = Object.values(API_RESOURCES).find(resource => resource.table === table);
+    if (!req.permissions.has(writePermission)) {
+      return res.status(403).json({ error: `Forbidden - requires ${writePermission} permission to write ${table}` });
+    }
+    if (!keepId || !duplicateId || typeof keepId !== 'string' || typeof duplicateId !== 'string') {
+      return res.status(400).json({ error: 'keep_id and duplicate_id are required' });
+    }
+    if (keepId === duplicateId) {
+      return res.status(400).json({ error: 'An opportunity cannot be merged into itself' });
+    }
+
+    const { data: duplicate } = await req.db.from(table).select('*').eq('id', duplicateId).maybeSingle();
+
+    const { error } = await req.db.rpc(MERGE_FUNCTIONS[table], { keep_id: keepId, duplicate_id: duplicateId });
+    if (error) {
+      if (error.code === 'P0002') return res.status(404).json({ error: error.message });
+      if (error.code === '42501') return res.status(403).json({ error: error.message });
+      throw error;
+    }
+
+    console.log(`🔀 ${req.user.email} merged ${table} ${duplicateId} into ${keepId}`);
+    await recordAudit(req, 'merge', table, keepId, { merged_duplicate: { from: duplicate || duplicateId, to: keepId } });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error merging duplicates:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// ==================================================
+// SPREADSHEET IMPORT
+// ==================================================
+
+// The import wizard sends a file's rows in batches, each row as { line, values } with
+// values keyed by field (see spreadsheet-import.js). A dry run checks the rows and looks
+// for likely duplicates; otherwise the rows that pass are saved and the rest reported.
+const MAX_IMPORT_ROWS = 500;
+
+// The API resource rows of table are imported as; returns { resource } or { error }
+function getImportResource(req, table) {
+  const resource = Object.values(API_RESOURCES).find(item => item.table === table);
+  if (!resource || !IMPORT_FIELDS[table]) {
+    return { error: `Invalid table. Allowed: ${Object.keys(IMPORT_FIELDS).join(', ')}` };
+  }
+  if (resource.writePermission && !req.permissions.has(resource.writePermission)) {
+    return { error: `Forbidden - requires ${resource.writePermission} permission to write ${table}`, status: 403 };
+  }
+  return { resource };
+}
+
+// Check one row the way a new record is checked: { line, input, errors }, where input
+// is the record to insert (null when the row has errors)
+async function checkImportRow(req, resource, row, stages) {
+  const { data, errors } = normalizeImportRow(resource.table, row.values, { stages });
+  if (errors.length > 0) return { line: row.line, input: null, errors };
+
+  // Consultants' opportunities are theirs unless the file names the consultant
+  if (resource.table === 'opportunities' && !data.consultant_name && !canReadAllRows(resource, req.permissions)) {
+    data.consultant_name = req.profile.full_name;
+  }
+
+  const { data: input, error } = sanitizeResourceInput(resource, data, true, stages);
+  const createError = error || await prepareCreate(req, resource, input, stages);
+  return createError ? { line: row.line, input: null, errors: [createError] } : { line: row.line, input, errors: [] };
+}
+
+// Insert the checked rows, in one request when possible. When the batch is rejected the
+// rows are inserted one at a time so only the failing ones are reported.
+async function insertImportRows(req, table, rows) {
+  const { data, error } = await req.db.from(table).insert(rows.map(row => row.input)).select('*');
+  if (!error) return rows.map((row, index) => ({ line: row.line, record: data[index] }));
+  if (rows.length === 1) return [{ line: rows[0].line, errors: [error.message] }];
+
+  const results = [];
+  for (const row of rows) {
+    results.push(...await insertImportRows(req, table, [row]));
+  }
+  return results;
+}
+
+// Fields a table's columns can be mapped to
+app.get('/api/import/:table/fields', requireAuth, (req, res) => {
+  const { error, status } = getImportResource(req, req.params.table);
+  if (error) {
+    return res.status(status || 400).json({ error });
+  }
+  res.json({ data: describeImportFields(req.params.table), max_rows: MAX_IMPORT_ROWS });
+});
+
+// Check or import rows (body: { rows: [{ line, values }], dry_run, window_days }).
+// A dry run returns each row's errors and likely duplicates - in the portal and earlier
+// in the file; an import returns each row's new id or errors.
+app.post('/api/import/:table', requireAuth, async (req, res) => {
+  try {
+    const table = req.params.table;
+    const { resource, error: tableError, status } = getImportResource(req, table);
+    if (tableError) {
+      return res.status(status || 400).json({ error: tableError });
+    }
+
+    const rows = req.body?.rows;
+    if (!Array.isArray(rows) || rows.length === 0 ||
+        rows.some(row => !row || !Number.isInteger(row.line) || !row.values || typeof row.values !== 'object')) {
+      return res.status(400).json({ error: 'rows must be a list of { line, values }' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} rows can be sent at once` });
+    }
+
+    const stages = await loadPipelineStages(serverClient(req.db));
+    const checked = [];
+    for (const row of rows) {
+      checked.push(await checkImportRow(req, resource, row, stages));
+    }
+
+    if (req.body.dry_run) {
+      const { windowDays, error: optionsError } = parseDuplicateOptions(req, table);
+      if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+      }
+
+      const candidates = await fetchAllRows(() => supabaseAdmin
+        .from(table)
+        .select(DUPLICATE_TABLES[table].columns)
+        .order('id'));
+
+      // Rows seen so far in this batch, with their line as id
+      const earlier = [];
+      const options = { recordTable: table, candidateTable: table, windowDays };
+      const matches = checked.map(({ line, input }) => {
+        if (!input) return { duplicates: [], fileDuplicates: [] };
+
+        const duplicates = findMatches(input, candidates, options);
+        const fileDuplicates = findMatches(input, earlier, options).map(match => match.id);
+        earlier.push({ ...input, id: line });
+        return { duplicates, fileDuplicates };
+      });
+      const duplicates = await limitMatchesToReadable(req, table, matches.map(match => match.duplicates));
+
+      const data = checked.map(({ line, errors }, index) => ({
+        line, errors, duplicates: duplicates[index], file_duplicates: matches[index].fileDuplicates
+      }));
+      return res.json({ data });
+    }
+
+    const valid = checked.filter(row => row.input);
+    const results = checked
+      .filter(row => !row.input)
+      .map(({ line, errors }) => ({ line, errors }));
+
+    const inserted = [];
+    if (valid.length > 0) {
+      (await insertImportRows(req, table, valid)).forEach(({ line, record, errors }) => {
+        if (record) inserted.push(record);
+        results.push(record ? { line, id: record.id } : { line, errors });
+      });
+    }
+
+    if (inserted.length > 0) {
+      console.log(`📥 ${req.user.email} imported ${inserted.length} ${table} row(s)`);
+    }
+
+    res.json({
+      data: results.sort((a, b) => a.line - b.line),
+      inserted: inserted.length,
+      failed: results.length - inserted.length
+    });
+  } catch (error) {
+    console.error('Error importing rows:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// ==================================================
+// REPORTS
+// ==================================================
+
+const REPORT_PAGE_SIZE = 1000; // Supabase returns at most 1000 rows per request
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Read every row of a query, a page at a time. buildQuery() must return a new,
+// consistently ordered query each time it is called.
+async function fetchAllRows(buildQuery) {
+  const rows = [];
+  for (let offset = 0; ; offset += REPORT_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(offset, offset + REPORT_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < REPORT_PAGE_SIZE) return rows;
+  }
+}
+
+// Weighted pipeline forecast (see forecast.js). Query: interval=month|quarter,
+// from/to (expected_close_date), bd_prof, consultant_name, client.
+// format=csv&group=periods|by_bd_prof|by_consultant|by_client downloads one grouping.
+app.get('/api/reports/forecast', requireAuth, requirePermission('reports.view'), async (req, res) => {
+  try {
+    const interval = req.query.interval || 'month';
+    if (!FORECAST_INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `Invalid interval. Allowed: ${FORECAST_INTERVALS.join(', ')}` });
+    }
+
+    const group = req.query.group || 'periods';
+    if (req.query.format === 'csv' && !FORECAST_GROUPS[group]) {
+      return res.status(400).json({ error: `Invalid group. Allowed: ${Object.keys(FORECAST_GROUPS).join(', ')}` });
+    }
+
+    for (const param of ['from', 'to']) {
+      if (req.query[param] && !DATE_PATTERN.test(req.query[param])) {
+        return res.status(400).json({ error: `${param} must be a date (YYYY-MM-DD)` });
+      }
+    }
+
+    const buildQuery = () => {
+      let query = req.db
+        .from('bd_opportunities')
+        .select('id, client, course_title, consultant_name, bd_prof, pipeline_stage, estimated_budget, probability, expected_close_date')
+        .order('id');
+      if (req.query.from) query = query.gte('expected_close_date', req.query.from);
+      if (req.query.to) query = query.lte('expected_close_date', req.query.to);
+      ['bd_prof', 'consultant_name', 'client'].forEach(field => {
+        if (req.query[field]) query = query.eq(field, req.query[field]);
+      });
+      return query;
+    };
+
+    const rows = await fetchAllRows(buildQuery);
+
+    const stages = await loadPipelineStages(serverClient(req.db));
+    const forecast = buildForecast(rows, { interval, stages });
+
+    if (req.query.format === 'csv') {
+      const fileName = `forecast_${group}_${new Date().toISOString().split('T')[0]}.csv`;
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.send(forecastToCsv(forecast, group));
+    }
+
+    res.json({ ...forecast, filters: { from: req.query.from || null, to: req.query.to || null } });
+  } catch (error) {
+    console.error('Error building forecast:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Win/loss analysis (see win-loss.js). Query: from/to (date the deal was closed), bd_prof.
+// A deal's close date is when it last entered its won/lost stage (bd_stage_history),
+// or its last update when there is no history.
+app.get('/api/reports/win-loss', requireAuth, requirePermission('reports.view'), async (req, res) => {
+  try {
+    for (const param of ['from', 'to']) {
+      if (req.query[param] && !DATE_PATTERN.test(req.query[param])) {
+        return res.status(400).json({ error: `${param} must be a date (YYYY-MM-DD)` });
+      }
+    }
+
+    const stages = await loadPipelineStages(serverClient(req.db));
+    const closedStages = getStageKeys(stages, 'won', 'lost');
+    if (closedStages.length === 0) {
+      return res.json({ ...buildWinLoss([], { stages }), filters: { from: req.query.from || null, to: req.query.to || null } });
+    }
+
+    const [opportunities, history, competitors] = await Promise.all([
+      fetchAllRows(() => {
+        let query = req.db
+          .from('bd_opportunities')
+          .select('id, client, course_title, city, bd_prof, pipeline_stage, estimated_budget, competitor_ids, loss_reason, updated_at')
+          .in('pipeline_stage', closedStages)
+          .order('id');
+        if (req.query.bd_prof) query = query.eq('bd_prof', req.query.bd_prof);
+        return query;
+      }),
+      fetchAllRows(() => req.db
+        .from('bd_stage_history')
+        .select('opportunity_id, to_stage, changed_at')
+        .in('to_stage', closedStages)
+        .order('changed_at', { ascending: true })
+        .order('id')),
+      fetchAllRows(() => req.db.from('competitors').select('id, name').order('id'))
+    ]);
+
+    // Latest move into the stage each deal is in now
+    const closedAt = new Map();
+    const stageById = new Map(opportunities.map(opp => [opp.id, opp.pipeline_stage]));
+    history.forEach(entry => {
+      if (stageById.get(entry.opportunity_id) === entry.to_stage) {
+        closedAt.set(entry.opportunity_id, entry.changed_at);
+      }
+    });
+
+    const inPeriod = opportunities.filter(opp => {
+      const date = (closedAt.get(opp.id) || opp.updated_at || '').slice(0, 10);
+      if (req.query.from && date < req.query.from) return false;
+      if (req.query.to && date > req.query.to) return false;
+      return true;
+    });
+
+    res.json({
+      ...buildWinLoss(inPeriod, { stages, competitors }),
+      filters: { from: req.query.from || null, to: req.query.to || null }
+    });
+  } catch (error) {
+    console.error('Error building win/loss analysis:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Opportunities and BD pipeline totalled by team (see teams.js), for the dashboard.
+// Users with reports.view see every team; team managers see the teams they manage.
+app.get('/api/reports/teams', requireAuth, async (req, res) => {
+  try {
+    const client = serverClient(req.db);
+    const allTeams = req.permissions.has('reports.view');
+
+    const { data: teams, error: teamsError } = await client
+      .from('teams')
+      .select('id, name, manager_id')
+      .order('name');
+    if (teamsError) throw teamsError;
+
+    const visibleTeams = allTeams ? teams : teams.filter(team => team.manager_id === req.user.id);
+    if (visibleTeams.length === 0 && !allTeams) {
+      return res.status(403).json({ error: 'Forbidden - requires reports.view permission or a team to manage' });
+    }
+
+    const { data: profiles, error: profilesError } = await client
+      .from('profiles')
+      .select('user_id, full_name, team_id');
+    if (profilesError) throw profilesError;
+
+    const [opportunities, bdOpportunities, stages] = await Promise.all([
+      fetchAllRows(() => scopeRows(req.db
+        .from('opportunities')
+        .select('id, created_by, status, bd_opportunity_id')
+        .order('id'), API_RESOURCES.opportunities, req.viewer)),
+      req.permissions.has('bd.read')
+        ? fetchAllRows(() => scopeRows(req.db
+          .from('bd_opportunities')
+          .select('id, source_opportunity_id, created_by, pipeline_stage, estimated_budget, probability')
+          .order('id'), API_RESOURCES['bd-opportunities'], req.viewer))
+        : null,
+      loadPipelineStages(client)
+    ]);
+
+    const summary = buildTeamSummary({ teams: visibleTeams, profiles, opportunities, bdOpportunities }, { stages });
+    res.json({ data: allTeams ? summary : summary.filter(team => team.id !== null) });
+  } catch (error) {
+    console.error('Error building team summary:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// ==================================================
+// NOTIFICATION OUTBOX
+// ==================================================
+
+// Every notification is stored in notification_outbox before it is sent. A worker
+// delivers due entries and retries failures with exponential backoff:
+// queued -> sent, or queued -> failed (retrying) -> ... -> gave_up
+const OUTBOX_STATUSES = ['queued', 'sent', 'failed', 'gave_up'];
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 6;
+const OUTBOX_BASE_DELAY_MS = 30 * 1000;
+const OUTBOX_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const OUTBOX_POLL_INTERVAL_MS = 15 * 1000;
+const OUTBOX_LEASE_MS = 5 * 60 * 1000;
+
+let outboxRunning = false;
+
+// Delay before the next attempt: 30s, 1m, 2m, 4m... capped at 6 hours
+function getOutboxRetryDelay(attempts) {
+  return Math.min(OUTBOX_BASE_DELAY_MS * Math.pow(2, attempts - 1), OUTBOX_MAX_DELAY_MS);
+}
+
+// Send an outbox payload: a named template with its data (e.g. digests), a pre-rendered
+// email (kind 'email') or activity data
+async function sendOutboxPayload(payload, recipients) {
+  if (payload.template) {
+    try {
+      return sendEmail(recipients, await renderEmail(payload.template, payload.data || {}));
+    } catch (error) {
+      console.error('❌ Email template failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+  if (payload.kind === 'email') {
+    return sendEmail(recipients, payload);
+  }
+  return sendActivityNotification(payload, recipients);
+}
+
+// Record a notification in the outbox and wake the worker.
+// Falls back to a direct send if the outbox table cannot be written.
+async function enqueueNotification(activityData, recipients, { source = null, createdBy = null } = {}) {
+  if (!recipients || recipients.length === 0) {
+    console.log('📭 No notification recipients for activity, nothing queued');
+    return null;
+  }
+
+  const { data: entry, error } = await supabaseAdmin
+    .from('notification_outbox')
+    .insert({
+      source,
+      recipients,
+      payload: activityData,
+      status: 'queued',
+      attempts: 0,
+      max_attempts: OUTBOX_MAX_ATTEMPTS,
+      next_attempt_at: new Date().toISOString(),
+      created_by: createdBy
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('⚠️ Could not write to notification outbox, sending directly:', error.message);
+    const result = await sendOutboxPayload(activityData, recipients);
+    if (!result.success) {
+      throw new Error('Notification could not be queued or sent: ' + result.error);
+    }
+    return null;
+  }
+
+  console.log('📥 Notification queued:', entry.id);
+  processOutbox().catch(err => console.error('Outbox worker error:', err));
+  return entry;
+}
+
+// Deliver a single outbox entry and record the outcome
+async function deliverOutboxEntry(entry) {
+  const now = Date.now();
+
+  // Claim the entry by pushing next_attempt_at forward; if another worker got there
+  // first the conditional update matches no rows. A crashed worker's lease expires.
+  const { data: claimed, error: claimError } = await supabaseAdmin
+    .from('notification_outbox')
+    .update({ next_attempt_at: new Date(now + OUTBOX_LEASE_MS).toISOString() })
+    .eq('id', entry.id)
+    .eq('attempts', entry.attempts)
+    .lte('next_attempt_at', new Date(now).toISOString())
+    .select('id');
+
+  if (claimError) throw claimError;
+  if (!claimed || claimed.length === 0) return;
+
+  const result = await sendOutboxPayload(entry.payload, entry.recipients);
+  const attempts = entry.attempts + 1;
+  const maxAttempts = entry.max_attempts || OUTBOX_MAX_ATTEMPTS;
+
+  let update;
+  if (result.success) {
+    update = { status: 'sent', attempts, sent_at: new Date().toISOString(), last_error: null };
+  } else if (attempts >= maxAttempts) {
+    update = { status: 'gave_up', attempts, last_error: result.error };
+    console.error(`❌ Giving up on notification ${entry.id} after ${attempts} attempts`);
+  } else {
+    const delay = getOutboxRetryDelay(attempts);
+    update = {
+      status: 'failed',
+      attempts,
+      last_error: result.error,
+      next_attempt_at: new Date(Date.now() + delay).toISOString()
+    };
+    console.log(`🔁 Notification ${entry.id} failed (attempt ${attempts}), retrying in ${Math.round(delay / 1000)}s`);
+  }
+
+  const { error: updateError } = await supabaseAdmin
+    .from('notification_outbox')
+    .update(update)
+    .eq('id', entry.id);
+
+  if (updateError) throw updateError;
+}
+
+// Worker: deliver all due queued/failed entries
+async function processOutbox() {
+  if (outboxRunning) return;
+  outboxRunning = true;
+
+  try {
+    const { data: due, error } = await supabaseAdmin
+      .from('notification_outbox')
+      .select('*')
+      .in('status', ['queued', 'failed'])
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(20);
+
+    if (error) throw error;
+
+    for (const entry of due || []) {
+      try {
+        await deliverOutboxEntry(entry);
+      } catch (error) {
+        console.error(`❌ Outbox delivery error for ${entry.id}:`, error.message || error);
+      }
+    }
+  } finally {
+    outboxRunning = false;
+  }
+}
+
+// Admin: list outbox entries, optionally filtered by status
+app.get('/api/admin/notifications', requireAuth, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || 50, 1), 200);
+
+    let query = req.db
+      .from('notification_outbox')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false });
+
+    if (req.query.status) {
+      if (!OUTBOX_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `Invalid status. Allowed: ${OUTBOX_STATUSES.join(', ')}` });
+      }
+      query = query.eq('status', req.query.status);
+    }
+
+    const from = (page - 1) * pageSize;
+    const { data, error, count } = await query.range(from, from + pageSize - 1);
+    if (error) throw error;
+
+    res.json({ data, pagination: { page, pageSize, total: count } });
+  } catch (error) {
+    console.error('Error listing notifications:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Admin: delivery status of a single notification
+app.get('/api/admin/notifications/:id', requireAuth, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const { data, error } = await req.db
+      .from('notification_outbox')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    res.json({ data });
+  } catch (error) {
+    console.error('Error fetching notification:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Admin: requeue a failed or abandoned notification for immediate delivery
+app.post('/api/admin/notifications/:id/retry', requireAuth, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const { data, error } = await req.db
+      .from('notification_outbox')
+      .update({ status: 'queued', attempts: 0, next_attempt_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .in('status', ['failed', 'gave_up'])
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'No failed notification with that id' });
+    }
+
+    processOutbox().catch(err => console.error('Outbox worker error:', err));
+    res.json({ data });
+  } catch (error) {
+    console.error('Error retrying notification:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// ==================================================
+// EMAIL TEMPLATES
+// ==================================================
+
+// Admin: list the available email templates
+app.get('/api/admin/email-templates', requireAuth, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    res.json({ data: await listTemplates() });
+  } catch (error) {
+    console.error('Error listing email templates:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Admin: render a template with its sample data (?format=html|text|json)
+app.get('/api/admin/email-templates/:name/preview', requireAuth, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const templates = await listTemplates();
+    if (!templates.some(template => template.name === req.params.name)) {
+      return res.status(404).json({ error: 'Unknown template' });
+    }
+
+    const email = await renderPreview(req.params.name);
+    if (req.query.format === 'json') {
+      return res.json({ data: email });
+    }
+    if (req.query.format === 'text') {
+      return res.type('text/plain').send(`Subject: ${email.subject}\n\n${email.text}`);
+    }
+    res.type('html').send(email.html);
+  } catch (error) {
+    console.error('Error previewing email template:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Admin: tell a user that a password reset was requested for their account
+app.post('/api/admin/users/password-reset-notice', requireAuth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const email = toText(req.body?.email).toLowerCase();
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const { data: profile, error } = await req.db
+      .from('profiles')
+      .select('email, full_name')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const entry = await enqueueNotification({
+      template: 'password-reset-notice',
+      data: {
+        name: profile.full_name || profile.email,
+        email: profile.email,
+        requested_by: req.profile.full_name || req.user.email
+      }
+    }, [profile.email], { source: 'password-reset-notice', createdBy: req.user.id });
+
+    res.json({ success: true, id: entry?.id || null });
+  } catch (error) {
+    console.error('Error sending password reset notice:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// ==================================================
+// OWNERSHIP REASSIGNMENT
+// ==================================================
+
+// Admins hand a user's opportunities over to another user - a filtered selection, or
+// everything when the user leaves (reassign_opportunities() in database_schema.sql).
+// Consultant opportunities belong to their creator (created_by), BD opportunities to
+// their BD professional (bd_prof_id, or the bd_prof name when not linked to an account
+// yet). Leavers are deactivated rather than deleted, so what
+// they entered stays in the history; a deactivated user cannot use the portal and gets
+// no emails. The new owner is emailed the records they received.
+const REASSIGN_MODULES = ['opportunities', 'bd_opportunities'];
+const ASSIGNMENT_EMAIL_MAX_RECORDS = 25;
+const DEACTIVATED_BAN_DURATION = '876000h'; // about 100 years: until reactivated
+
+// A profile by auth user id, or null
+async function findUserProfile(db, userId) {
+  const { data, error } = await db
+    .from('profiles')
+    .select('id, user_id, email, full_name, role, notifications_opt_out, deactivated_at')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// A user's opportunities matching the filters, as { opportunities, bd_opportunities }
+// rows of { id, client, course_title, city, stage, created_at }. filters: module
+// (opportunities or bd_opportunities, default both), status (consultant), pipeline_stage
+// (BD), client (part of the name) and city.
+async function loadOwnedOpportunities(db, owner, filters = {}, stages = []) {
+  const modules = filters.module ? [filters.module] : REASSIGN_MODULES;
+  // Strip characters that have meaning in PostgREST filter syntax
+  const client = toText(filters.client).replace(/[,()*%]/g, ' ').trim();
+  // Cities match ignoring case; LIKE wildcards are matched literally
+  const city = toText(filters.city).replace(/[%_\\]/g, '\\$&');
+  const owned = { opportunities: [], bd_opportunities: [] };
+
+  if (modules.includes('opportunities')) {
+    const rows = await fetchAllRows(() => {
+      let query = db
+        .from('opportunities')
+        .select('id, client_company, course_title, city, status, created_at')
+        .eq('created_by', owner.user_id);
+      if (filters.status) query = query.eq('status', filters.status);
+      if (client) query = query.ilike('client_company', `%${client}%`);
+      if (city) query = query.ilike('city', city);
+      return query.order('created_at', { ascending: false }).order('id');
+    });
+    owned.opportunities = rows.map(row => ({
+      id: row.id, client: row.client_company, course_title: row.course_title, city: row.city, stage: row.status, created_at: row.created_at
+    }));
+  }
+
+  // BD opportunities link their BD professional's account; those not linked yet go by
+  // the name (the email for users without a name), quoted for the PostgREST filter
+  const ownerName = owner.full_name || owner.email;
+  if (modules.includes('bd_opportunities')) {
+    const byName = ownerName ? `,and(bd_prof_id.is.null,bd_prof.eq."${ownerName.replace(/["\\]/g, '\\$&')}")` : '';
+    const rows = await fetchAllRows(() => {
+      let query = db
+        .from('bd_opportunities')
+        .select('id, client, course_title, city, pipeline_stage, created_at')
+        .or(`bd_prof_id.eq.${owner.user_id}${byName}`);
+      if (filters.pipeline_stage) query = query.eq('pipeline_stage', filters.pipeline_stage);
+      if (client) query = query.ilike('client', `%${client}%`);
+      if (city) query = query.ilike('city', city);
+      return query.order('created_at', { ascending: false }).order('id');
+    });
+    owned.bd_opportunities = rows.map(row => ({
+      id: row.id, client: row.client, course_title: row.course_title, city: row.city, stage: getStageName(stages, row.pipeline_stage), created_at: row.created_at
+    }));
+  }
+
+  return owned;
+}
+
+// Move opportunities from one user to another and email the new owner. ids is
+// { opportunities, bd_opportunities } (lists of ids), or null for all of the user's
+// opportunities and open tasks. Returns the rpc result: the ids moved and tasks_moved.
+async function reassignOpportunities(req, fromProfile, toProfile, ids = null) {
+  const { data: result, error } = await req.db.rpc('reassign_opportunities', {
+    from_user: fromProfile.user_id,
+    to_user: toProfile.user_id,
+    opportunity_ids: ids ? ids.opportunities : null,
+    bd_opportunity_ids: ids ? ids.bd_opportunities : null
+  });
+  if (error) throw error;
+
+  await announceReassignment(req, fromProfile, toProfile, result);
+  return result;
+}
+
+// Log, audit and email a handover made by reassign_opportunities() (result is its return)
+async function announceReassignment(req, fromProfile, toProfile, result) {
+  const moved = { opportunities: result.opportunity_ids || [], bd_opportunities: result.bd_opportunity_ids || [] };
+  const total = moved.opportunities.length + moved.bd_opportunities.length;
+  console.log(`🔁 ${req.user.email} reassigned ${total} opportunity record(s) from ${fromProfile.email} to ${toProfile.email}`);
+  if (total === 0) return;
+
+  const entries = REASSIGN_MODULES.flatMap(table => moved[table].map(id => buildAuditEntry(req, 'reassigned', table, id, {
+    owner: { from: fromProfile.full_name || fromProfile.email, to: toProfile.full_name || toProfile.email }
+  })));
+  const { error: auditError } = await supabaseAdmin.from('activity_log').insert(entries);
+  if (auditError) console.error('⚠️ Could not record the reassignment:', auditError.message);
+
+  try {
+    await notifyAssignment(req, fromProfile, toProfile, moved, result.tasks_moved);
+  } catch (notifyError) {
+    console.error('⚠️ Could not queue the assignment email:', notifyError.message || notifyError);
+  }
+}
+
+// Email the new owner the opportunities they received (the first few, then a count)
+async function notifyAssignment(req, fromProfile, toProfile, moved, taskCount) {
+  if (!toProfile.email || toProfile.notifications_opt_out) return null;
+
+  const shownBd = moved.bd_opportunities.slice(0, ASSIGNMENT_EMAIL_MAX_RECORDS);
+  const shownConsultant = moved.opportunities.slice(0, ASSIGNMENT_EMAIL_MAX_RECORDS - shownBd.length);
+  const [stages, bdResult, consultantResult] = await Promise.all([
+    loadPipelineStages(serverClient(req.db)),
+    req.db.from('bd_opportunities').select('client, course_title, pipeline_stage').in('id', shownBd),
+    req.db.from('opportunities').select('client_company, course_title, status').in('id', shownConsultant)
+  ]);
+  if (bdResult.error) throw bdResult.error;
+  if (consultantResult.error) throw consultantResult.error;
+
+  const records = [
+    ...bdResult.data.map(opp => ({
+      record_type: 'BD opportunity', client: toText(opp.client), course_title: toText(opp.course_title), stage: getStageName(stages, opp.pipeline_stage)
+    })),
+    ...consultantResult.data.map(opp => ({
+      record_type: 'Consultant opportunity', client: toText(opp.client_company), course_title: toText(opp.course_title), stage: toText(opp.status)
+    }))
+  ];
+  const count = moved.opportunities.length + moved.bd_opportunities.length;
+
+  return enqueueNotification({
+    template: 'assignment',
+    data: {
+      name: toProfile.full_name || toProfile.email,
+      assigned_by: req.profile.full_name || req.user.email,
+      previous_owner: fromProfile.full_name || fromProfile.email,
+      count,
+      records,
+      more_count: count - records.length,
+      task_count: taskCount || 0
+    }
+  }, [toProfile.email], { source: 'reassignment', createdBy: req.user.id });
+}
+
+// Turn an rpc error into a response: 403 / 404 / 400 for the errors the function raises
+function sendReassignError(res, error) {
+  if (error.code === '42501') return res.status(403).json({ error: error.message });
+  if (error.code === 'P0002') return res.status(404).json({ error: error.message });
+  if (error.code === '22023') return res.status(400).json({ error: error.message });
+  if (error.code === '55000') return res.status(409).json({ error: error.message });
+  throw error;
+}
+
+// Admin: the opportunities a user owns, for choosing what to reassign. Query:
+// from_user_id (required), module, status, pipeline_stage, client, city.
+app.get('/api/admin/reassignments/preview', requireAuth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const fromUserId = toText(req.query.from_user_id);
+    if (!fromUserId) {
+      return res.status(400).json({ error: 'from_user_id is required' });
+    }
+    const module = toText(req.query.module);
+    if (module && !REASSIGN_MODULES.includes(module)) {
+      return res.status(400).json({ error: `module must be one of: ${REASSIGN_MODULES.join(', ')}` });
+    }
+
+    const fromProfile = await findUserProfile(req.db, fromUserId);
+    if (!fromProfile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const stages = await loadPipelineStages(serverClient(req.db));
+    const owned = await loadOwnedOpportunities(req.db, fromProfile, { ...req.query, module }, stages);
+    res.json({ data: owned, total: owned.opportunities.length + owned.bd_opportunities.length });
+  } catch (error) {
+    console.error('Error previewing reassignment:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Admin: reassign opportunities (body: { from_user_id, to_user_id, opportunity_ids,
+// bd_opportunity_ids }). Leave both id lists out to hand over everything the user owns,
+// open tasks included; otherwise only the listed rows and their open tasks move.
+app.post('/api/admin/reassignments', requireAuth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const fromUserId = toText(body.from_user_id);
+    const toUserId = toText(body.to_user_id);
+    if (!fromUserId || !toUserId) {
+      return res.status(400).json({ error: 'from_user_id and to_user_id are required' });
+    }
+    if (fromUserId === toUserId) {
+      return res.status(400).json({ error: 'Opportunities cannot be reassigned to the same user' });
+    }
+
+    const isIdList = value => value === undefined || (Array.isArray(value) && value.every(id => typeof id === 'string'));
+    if (!isIdList(body.opportunity_ids) || !isIdList(body.bd_opportunity_ids)) {
+      return res.status(400).json({ error: 'opportunity_ids and bd_opportunity_ids must be lists of ids' });
+    }
+    const everything = body.opportunity_ids === undefined && body.bd_opportunity_ids === undefined;
+    if (!everything && (body.opportunity_ids || []).length + (body.bd_opportunity_ids || []).length === 0) {
+      return res.status(400).json({ error: 'Select at least one opportunity to reassign' });
+    }
+
+    const [fromProfile, toProfile] = await Promise.all([findUserProfile(req.db, fromUserId), findUserProfile(req.db, toUserId)]);
+    if (!fromProfile || !toProfile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (toProfile.deactivated_at) {
+      return res.status(400).json({ error: 'Opportunities cannot be reassigned to a deactivated user' });
+    }
+
+    let result;
+    try {
+      result = await reassignOpportunities(req, fromProfile, toProfile, everything ? null : {
+        opportunities: body.opportunity_ids || [],
+        bd_opportunities: body.bd_opportunity_ids || []
+      });
+    } catch (error) {
+      return sendReassignError(res, error);
+    }
+
+    res.json({ data: result });
+  } catch (error) {
+    console.error('Error reassigning opportunities:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Admin: deactivate a user (body: { reassign_to } - optional user id to hand all their
+// opportunities and open tasks to first). The handover and the deactivation run in one
+// transaction in deactivate_user() (database_schema.sql). The profile and everything the
+// user entered are kept; with the service role key configured their sign-in is also blocked.
+app.post('/api/admin/users/:id/deactivate', requireAuth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    const profile = await findUserProfile(req.db, req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (profile.deactivated_at) {
+      return res.status(409).json({ error: 'User is already deactivated' });
+    }
+
+    const reassignTo = toText(req.body?.reassign_to);
+    let toProfile = null;
+    if (reassignTo) {
+      if (reassignTo === profile.user_id) {
+        return res.status(400).json({ error: 'Opportunities cannot be reassigned to the same user' });
+      }
+      toProfile = await findUserProfile(req.db, reassignTo);
+      if (!toProfile || toProfile.deactivated_at) {
+        return res.status(404).json({ error: 'User to reassign to not found or deactivated' });
+      }
+    }
+
+    const { data: result, error } = await req.db.rpc('deactivate_user', {
+      target_user: profile.user_id,
+      reassign_to: toProfile ? toProfile.user_id : null
+    });
+    if (error) return sendReassignError(res, error);
+
+    const handover = result.handover || null;
+    if (handover) await announceReassignment(req, profile, toProfile, handover);
+
+    if (hasServiceRole) {
+      const { error: banError } = await supabaseAdmin.auth.admin.updateUserById(profile.user_id, { ban_duration: DEACTIVATED_BAN_DURATION });
+      if (banError) console.error(`⚠️ Could not block sign-in for ${profile.email}:`, banError.message);
+    }
+
+    console.log(`🚫 ${req.user.email} deactivated ${profile.email}`);
+    res.json({ data: { deactivated_at: result.deactivated_at, handover } });
+  } catch (error) {
+    console.error('Error deactivating user:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Admin: let a deactivated user back in. Opportunities handed over stay with their new
+// owner.
+app.post('/api/admin/users/:id/reactivate', requireAuth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const profile = await findUserProfile(req.db, req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!profile.deactivated_at) {
+      return res.status(409).json({ error: 'User is not deactivated' });
+    }
+
+    const { error } = await req.db
+      .from('profiles')
+      .update({ deactivated_at: null, deactivated_by: null })
+      .eq('user_id', profile.user_id);
+    if (error) throw error;
+
+    if (hasServiceRole) {
+      const { error: banError } = await supabaseAdmin.auth.admin.updateUserById(profile.user_id, { ban_duration: 'none' });
+      if (banError) console.error(`⚠️ Could not unblock sign-in for ${profile.email}:`, banError.message);
+    }
+
+    console.log(`✅ ${req.user.email} reactivated ${profile.email}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error reactivating user:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// ==================================================
+// DIGEST EMAILS
+// ==================================================
+
+// Users subscribe in their profile (profiles.digest_frequency: none, daily, weekly).
+// Digests go out once a day from DIGEST_HOUR (UTC); weekly digests on Mondays.
+const DIGEST_FREQUENCIES = { daily: 1, weekly: 7 }; // days covered by each digest
+const DIGEST_HOUR = process.env.DIGEST_HOUR !== undefined ? parseInt(process.env.DIGEST_HOUR) : 7;
+const DIGEST_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+// Key of the digest period that is due now, or null when it is not time yet
+function getDueDigestPeriod(frequency, now = new Date()) {
+  if (now.getUTCHours() < DIGEST_HOUR) return null;
+  if (frequency === 'weekly' && now.getUTCDay() !== 1) return null;
+  return `${frequency}:${now.toISOString().slice(0, 10)}`;
+}
+
+// Claim a digest period so it is sent once, even across restarts or several servers.
+// Returns false when it was already claimed.
+async function claimDigestRun(frequency, periodKey) {
+  const { error } = await supabaseAdmin
+    .from('digest_runs')
+    .insert({ period_key: periodKey, frequency });
+
+  if (error) {
+    if (error.code === '23505') return false; // unique violation: already sent
+    throw error;
+  }
+  return true;
+}
+
+// Collect new opportunities, stage moves and overdue deals for a digest
+async function buildDigest(frequency) {
+  const since = new Date(Date.now() - DIGEST_FREQUENCIES[frequency] * 24 * 60 * 60 * 1000).toISOString();
+  const today = new Date().toISOString().slice(0, 10);
+  const stages = await loadPipelineStages(supabaseAdmin);
+  const closedStages = getStageKeys(stages, 'won', 'lost', 'closed');
+
+  const results = await Promise.all([
+    supabaseAdmin
+      .from('bd_opportunities')
+      .select('course_title, client, pipeline_stage, bd_prof, estimated_budget')
+      .gte('created_at', since)
+      .order('created_at', { ascending: false }),
+    supabaseAdmin
+      .from('opportunities')
+      .select('course_title, client_company, consultant_name, priority')
+      .gte('created_at', since)
+      .order('created_at', { ascending: false }),
+    supabaseAdmin
+      .from('activity_log')
+      .select('details, created_at')
+      .eq('action', 'stage_changed')
+      .eq('entity_type', 'bd_opportunities')
+      .gte('created_at', since)
+      .order('created_at', { ascending: false }),
+    supabaseAdmin
+      .from('bd_opportunities')
+      .select('course_title, client, pipeline_stage, bd_prof, expected_close_date')
+      .lt('expected_close_date', today)
+      .not('pipeline_stage', 'in', `(${closedStages.join(',')})`)
+      .order('expected_close_date', { ascending: true })
+  ]);
+
+  const failed = results.find(result => result.error);
+  if (failed) throw failed.error;
+
+  const [newBd, newConsultant, stageMoves, overdue] = results.map(result => result.data || []);
+  return { frequency, since, stages, newBd, newConsultant, stageMoves, overdue };
+}
+
+// Shape a digest into the data used by the 'digest' email template
+function buildDigestView(digest) {
+  const stageName = key => key ? getStageName(digest.stages, key) : key;
+  const sections = [
+    {
+      title: 'New BD Opportunities',
+      headers: ['Client', 'Course', 'Stage', 'BD Professional', 'Budget (AED)'],
+      rows: digest.newBd.map(opp => [opp.client, opp.course_title, stageName(opp.pipeline_stage), opp.bd_prof, opp.estimated_budget])
+    },
+    {
+      title: 'New Consultant Opportunities',
+      headers: ['Client', 'Course', 'Consultant', 'Priority'],
+      rows: digest.newConsultant.map(opp => [opp.client_company, opp.course_title, opp.consultant_name, opp.priority])
+    },
+    {
+      title: 'Stage Moves',
+      headers: ['Client', 'Course', 'From', 'To', 'Date'],
+      rows: digest.stageMoves.map(move => [
+        move.details?.client, move.details?.course_title, stageName(move.details?.from), stageName(move.details?.to), move.created_at.slice(0, 10)
+      ])
+    },
+    {
+      title: 'Overdue Close Dates',
+      headers: ['Client', 'Course', 'Stage', 'BD Professional', 'Expected Close'],
+      rows: digest.overdue.map(opp => [opp.client, opp.course_title, stageName(opp.pipeline_stage), opp.bd_prof, opp.expected_close_date])
+    }
+  ];
+
+  return {
+    heading: digest.frequency === 'weekly' ? 'Weekly Pipeline Digest' : 'Daily Pipeline Digest',
+    since: digest.since.slice(0, 10),
+    new_count: digest.newBd.length + digest.newConsultant.length,
+    move_count: digest.stageMoves.length,
+    overdue_count: digest.overdue.length,
+    sections: sections.map(section => {
+      const rows = section.rows.map(row => {
+        const cells = row.map(cell => toText(cell) || '-');
+        return { cells, text: cells.filter(cell => cell !== '-').join(' | ') };
+      });
+      return { title: section.title, headers: section.headers, count: rows.length, has_rows: rows.length > 0, rows };
+    })
+  };
+}
+
+// Send any digests that are due to their subscribers
+async function runDigests() {
+  for (const frequency of Object.keys(DIGEST_FREQUENCIES)) {
+    const periodKey = getDueDigestPeriod(frequency);
+    if (!periodKey) continue;
+
+    try {
+      const { data: subscribers, error } = await supabaseAdmin
+        .from('profiles')
+        .select('email, notifications_opt_out, deactivated_at')
+        .eq('digest_frequency', frequency);
+
+      if (error) throw error;
+
+      const recipients = (subscribers || [])
+        .filter(profile => profile.email && !profile.notifications_opt_out && !profile.deactivated_at)
+        .map(profile => profile.email.toLowerCase());
+
+      if (recipients.length === 0) continue;
+      if (!(await claimDigestRun(frequency, periodKey))) continue;
+
+      try {
+        const digest = await buildDigest(frequency);
+        await enqueueNotification({ template: 'digest', data: buildDigestView(digest) }, recipients, { source: `digest-${frequency}` });
+        console.log(`📰 ${frequency} digest queued for ${recipients.length} recipient(s)`);
+      } catch (error) {
+        // Release the period so the next check tries again
+        await supabaseAdmin.from('digest_runs').delete().eq('period_key', periodKey);
+        throw error;
+      }
+    } catch (error) {
+      console.error(`❌ Could not send ${frequency} digest:`, error.message || error);
+    }
+  }
+}
+
+// ==================================================
+// TASKS
+// ==================================================
+
+// Open tasks are emailed to their assignee from TASK_REMINDER_HOUR (UTC) on the day they
+// fall due, then daily while they stay overdue - one email per assignee listing them all.
+// Tasks themselves are read and written through /api/tasks or directly by the pages.
+const TASK_REMINDER_HOUR = process.env.TASK_REMINDER_HOUR !== undefined ? parseInt(process.env.TASK_REMINDER_HOUR) : DIGEST_HOUR;
+const TASK_REMINDER_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+// People a task can be assigned to: { id, name, role } for every active user. Profiles
+// are not readable by other users, so the pages ask the server.
+app.get('/api/users/assignees', requireAuth, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('profiles')
+      .select('user_id, full_name, email, role')
+      .not('user_id', 'is', null)
+      .is('deactivated_at', null)
+      .order('full_name');
+
+    if (error) throw error;
+    res.json({
+      data: (data || []).map(profile => ({ id: profile.user_id, name: profile.full_name || profile.email, role: profile.role }))
+    });
+  } catch (error) {
+    console.error('Error listing assignees:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Shape one assignee's due tasks into the data used by the 'task-reminder' email template
+function buildTaskReminderView(profile, tasks, today) {
+  const rows = [...tasks]
+    .sort((a, b) => a.due_date.localeCompare(b.due_date))
+    .map(task => ({
+      title: toText(task.title),
+      opportunity: toText(task.entity_label) || '-',
+      module: NOTIFICATION_TABLES[task.entity_type]?.module || '',
+      due_date: task.due_date,
+      overdue: task.due_date < today,
+      notes: toText(task.notes)
+    }));
+
+  return {
+    name: profile.full_name || profile.email,
+    count: rows.length,
+    overdue_count: rows.filter(row => row.overdue).length,
+    tasks: rows
+  };
+}
+
+// Email every assignee whose open tasks are due and have not been reminded today
+async function runTaskReminders(now = new Date()) {
+  if (now.getUTCHours() < TASK_REMINDER_HOUR) return;
+  const today = now.toISOString().slice(0, 10);
+  const notRemindedToday = `reminded_on.is.null,reminded_on.lt.${today}`;
+
+  const tasks = await fetchAllRows(() => supabaseAdmin
+    .from('tasks')
+    .select('id, assigned_to')
+    .eq('status', 'open')
+    .lte('due_date', today)
+    .or(notRemindedToday)
+    .order('id'));
+  if (tasks.length === 0) return;
+
+  const { data: assignees, error } = await supabaseAdmin
+    .from('profiles')
+    .select('user_id, email, full_name, notifications_opt_out, deactivated_at')
+    .in('user_id', [...new Set(tasks.map(task => task.assigned_to))]);
+
+  if (error) throw error;
+
+  for (const profile of assignees || []) {
+    if (!profile.email || profile.notifications_opt_out || profile.deactivated_at) continue;
+
+    try {
+      // Claim the tasks so each reminder goes out once, even across several servers
+      const { data: claimed, error: claimError } = await supabaseAdmin
+        .from('tasks')
+        .update({ reminded_on: today })
+        .in('id', tasks.filter(task => task.assigned_to === profile.user_id).map(task => task.id))
+        .or(notRemindedToday)
+        .select('id, entity_type, entity_label, title, notes, due_date');
+
+      if (claimError) throw claimError;
+      if (!claimed || claimed.length === 0) continue;
+
+      await enqueueNotification({
+        template: 'task-reminder',
+        data: buildTaskReminderView(profile, claimed, today)
+      }, [profile.email], { source: 'task-reminder' });
+      console.log(`⏰ Task reminder queued for ${profile.email} (${claimed.length} task(s))`);
+    } catch (error) {
+      console.error(`❌ Could not send task reminder to ${profile.email}:`, error.message || error);
+    }
+  }
+}
+
+// ==================================================
+// CALENDAR
+// ==================================================
+
+// Course dates, expected close dates and task due dates as calendar events (see
+// calendar.js), for the calendar page and for each user's iCalendar feed. Calendar apps
+// cannot sign in, so the feed URL carries a secret token (calendar_feeds) that stands in
+// for the user; the feed then shows what that user would see in the portal.
+const CALENDAR_FEED_PAST_DAYS = 90;
+
+// Rows behind the calendar events that viewer (see loadViewer) may see, with dates
+// between from and to (YYYY-MM-DD, either optional). db may bypass RLS (the feed), so the
+// API's read rules are applied here too. Tasks are the ones assigned to the user.
+async function loadCalendarEvents(db, viewer, { from, to } = {}) {
+  const inRange = (query, column) => {
+    query = query.not(column, 'is', null);
+    if (from) query = query.gte(column, from);
+    if (to) query = query.lte(column, to);
+    return query;
+  };
+  const readable = (resourceName, columns, dateColumn) => {
+    const resource = API_RESOURCES[resourceName];
+    if (resource.readPermission && !viewer.permissions.has(resource.readPermission)) return [];
+    return fetchAllRows(() => scopeRows(inRange(db.from(resource.table).select(columns).order('id'), dateColumn), resource, viewer));
+  };
+
+  const [opportunities, bdOpportunities, tasks, stages] = await Promise.all([
+    readable('opportunities', 'id, course_title, client_company, course_date, consultant_name, delegate_name, city, status', 'course_date'),
+    readable('bd-opportunities', 'id, course_title, client, expected_close_date, pipeline_stage, estimated_budget, probability, bd_prof, next_actions', 'expected_close_date'),
+    fetchAllRows(() => inRange(db
+      .from('tasks')
+      .select('id, entity_type, entity_label, title, notes, due_date, status')
+      .eq('assigned_to', viewer.userId)
+      .eq('status', 'open')
+      .order('id'), 'due_date')),
+    loadPipelineStages(serverClient(db))
+  ]);
+
+  return buildCalendarEvents({ opportunities, bdOpportunities, tasks }, { stages });
+}
+
+// Where the portal is served, for links in the feed
+function getPortalUrl(req) {
+  if (process.env.PORTAL_URL) return process.env.PORTAL_URL.replace(/\/$/, '');
+  const protocol = (req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+  return `${protocol}://${req.get('host')}`;
+}
+
+// The user's feed URL, creating its token on first use; reset replaces the token so
+// the old URL stops working
+async function getCalendarFeedUrl(req, { reset = false } = {}) {
+  if (!reset) {
+    const { data: existing, error } = await supabaseAdmin
+      .from('calendar_feeds')
+      .select('token')
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (existing) return `${getPortalUrl(req)}/api/calendar/feed/${existing.token}.ics`;
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const { error } = await supabaseAdmin
+    .from('calendar_feeds')
+    .upsert({ user_id: req.user.id, token, created_at: new Date().toISOString(), last_accessed_at: null }, { onConflict: 'user_id' });
+
+  if (error) throw error;
+  return `${getPortalUrl(req)}/api/calendar/feed/${token}.ics`;
+}
+
+// Events for the calendar page. Query: from, to (YYYY-MM-DD, both required)
+app.get('/api/calendar/events', requireAuth, requirePermission('calendar.view'), async (req, res) => {
+  try {
+    for (const param of ['from', 'to']) {
+      if (!DATE_PATTERN.test(req.query[param] || '')) {
+        return res.status(400).json({ error: `${param} must be a date (YYYY-MM-DD)` });
+      }
+    }
+
+    const events = await loadCalendarEvents(req.db, req.viewer, { from: req.query.from, to: req.query.to });
+    res.json({ data: events });
+  } catch (error) {
+    console.error('Error loading calendar events:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// The signed-in user's iCalendar subscription URL
+app.get('/api/calendar/feed-url', requireAuth, requirePermission('calendar.view'), async (req, res) => {
+  try {
+    res.json({ url: await getCalendarFeedUrl(req) });
+  } catch (error) {
+    console.error('Error getting calendar feed URL:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Replace the user's feed URL, e.g. after it was shared by mistake
+app.post('/api/calendar/feed-url/reset', requireAuth, requirePermission('calendar.view'), async (req, res) => {
+  try {
+    const url = await getCalendarFeedUrl(req, { reset: true });
+    console.log(`📅 Calendar feed URL reset for ${req.user.email}`);
+    res.json({ url });
+  } catch (error) {
+    console.error('Error resetting calendar feed URL:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// iCalendar feed for calendar apps; the token identifies the user
+app.get('/api/calendar/feed/:token.ics', async (req, res) => {
+  try {
+    if (!/^[0-9a-f]{48}$/.test(req.params.token)) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const { data: feed, error } = await supabaseAdmin
+      .from('calendar_feeds')
+      .select('user_id')
+      .eq('token', req.params.token)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!feed) return res.status(404).json({ error: 'Calendar feed not found' });
+
+    const { data: profile, error: profileError } = await supabaseAdmin
+      .from('profiles')
+      .select('user_id, full_name, role, scope_cities, scope_client_ids, deactivated_at')
+      .eq('user_id', feed.user_id)
+      .maybeSingle();
+
+    if (profileError) throw profileError;
+    if (!profile || profile.deactivated_at) return res.status(404).json({ error: 'Calendar feed not found' });
+
+    const viewer = await loadViewer(supabaseAdmin, profile.user_id, profile);
+    if (!viewer.permissions.has('calendar.view')) return res.status(404).json({ error: 'Calendar feed not found' });
+
+    const since = new Date(Date.now() - CALENDAR_FEED_PAST_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const events = await loadCalendarEvents(supabaseAdmin, viewer, { from: since });
+
+    await supabaseAdmin
+      .from('calendar_feeds')
+      .update({ last_accessed_at: new Date().toISOString() })
+      .eq('user_id', feed.user_id);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="vifm-portal.ics"');
+    res.set('Cache-Control', 'private, max-age=900');
+    res.send(toICalendar(events, { name: `VIFM Portal - ${profile.full_name || 'My calendar'}`, baseUrl: getPortalUrl(req) }));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// No catch-all route needed - express.static handles all files
+
+// Start server
+app.listen(PORT, '0.0.0.0', () => {
+  console.log(`🚀 VIFM Portal server running on http://0.0.0.0:${PORT}`);
+  if (!hasServiceRole) {
+    console.warn('⚠️ SUPABASE_SERVICE_ROLE_KEY is not set: webhooks, digests, reminders, notification routing and calendar feeds run without access to RLS-protected data, and deactivated users can still sign in to Supabase');
+  }
+  try {
+    console.log(`📧 Email notifications enabled via ${getMailTransport().name}`);
+  } catch (error) {
+    console.error('❌ Mail transport not configured:', error.message);
+  }
+
+  // Send daily/weekly digests when they fall due
+  runDigests().catch(err => console.error('Digest error:', err));
+  setInterval(() => {
+    runDigests().catch(err => console.error('Digest error:', err));
+  }, DIGEST_CHECK_INTERVAL_MS);
+
+  // Remind assignees of tasks that are due
+  runTaskReminders().catch(err => console.error('Task reminder error:', err.message || err));
+  setInterval(() => {
+    runTaskReminders().catch(err => console.error('Task reminder error:', err.message || err));
+  }, TASK_REMINDER_CHECK_INTERVAL_MS);
+
+  // Deliver queued notifications, including any left over from a previous run
+  setInterval(() => {
+    processOutbox().catch(err => console.error('Outbox worker error:', err.message || err));
+  }, OUTBOX_POLL_INTERVAL_MS);
 });
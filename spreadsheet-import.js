@@ -0,0 +1,195 @@
+/**
+ * VIFM Portal - Spreadsheet Import
+ * Checks and converts rows read from a CSV or Excel file before they are saved as
+ * opportunities or BD opportunities. Used by the /api/import routes; the import wizard
+ * (import-wizard.js) maps the file's columns to the fields listed here.
+ *
+ * Spreadsheets are loose about formats, so values are normalized first:
+ *   dates          2025-03-14, 14/03/2025 (day first), 14 Mar 2025, Mar 14, 2025
+ *   numbers        "AED 50,000" -> 50000
+ *   probability    "50%" -> 50, a whole number from 0 to 100
+ *   choices        matched on value or label, ignoring case ("In Progress" -> in-progress)
+ *   pipeline stage matched on stage key or name
+ * Field labels match the column headings of the modules' CSV exports, so an export can
+ * be imported again.
+ */
+
+const { DEFAULT_PIPELINE_STAGES } = require('./pipeline-stages');
+
+const IMPORT_FIELDS = {
+  opportunities: [
+    { field: 'course_title', label: 'Course Title', aliases: ['course', 'training', 'program', 'programme'] },
+    { field: 'client_company', label: 'Client', aliases: ['client company', 'company', 'organization', 'organisation'] },
+    { field: 'course_date', label: 'Course Date', type: 'date', aliases: ['date', 'training date', 'start date'] },
+    { field: 'delegate_name', label: 'Contact Name', aliases: ['contact', 'delegate', 'delegate name'] },
+    { field: 'delegate_title', label: 'Contact Title', aliases: ['job title', 'position', 'designation', 'delegate title'] },
+    { field: 'delegate_email', label: 'Email', type: 'email', aliases: ['e-mail', 'contact email', 'delegate email'] },
+    { field: 'phone_number', label: 'Phone', aliases: ['phone number', 'mobile', 'telephone', 'contact phone'] },
+    { field: 'city', label: 'City', aliases: ['location'] },
+    {
+      field: 'priority', label: 'Priority', type: 'choice',
+      choices: { low: 'Low', medium: 'Medium', high: 'High' }
+    },
+    {
+      field: 'status', label: 'Status', type: 'choice',
+      choices: { new: 'New', 'in-progress': 'In Progress', complete: 'Complete', draft: 'Draft' }
+    },
+    { field: 'discussion_notes', label: 'Discussion Notes', aliases: ['notes', 'discussion'] },
+    { field: 'consultant_action', label: 'Consultant Action' },
+    { field: 'bd_action', label: 'BD Action' },
+    { field: 'consultant_name', label: 'Consultant Name', aliases: ['consultant'] }
+  ],
+  bd_opportunities: [
+    { field: 'client', label: 'Client', aliases: ['client company', 'company', 'organization', 'organisation'] },
+    { field: 'city', label: 'City', aliases: ['location'] },
+    { field: 'course_title', label: 'Course Title', aliases: ['course', 'training', 'program', 'programme'] },
+    { field: 'consultant_name', label: 'Consultant', aliases: ['consultant name'] },
+    { field: 'primary_contact', label: 'Primary Contact', aliases: ['contact', 'contact name'] },
+    { field: 'contact_title', label: 'Contact Title', aliases: ['job title', 'position', 'designation'] },
+    { field: 'contact_email', label: 'Email', type: 'email', aliases: ['e-mail', 'contact email'] },
+    { field: 'contact_phone', label: 'Phone', aliases: ['phone number', 'mobile', 'telephone', 'contact phone'] },
+    { field: 'estimated_budget', label: 'Estimated Budget', type: 'number', aliases: ['budget', 'value', 'amount', 'deal value'] },
+    { field: 'pipeline_stage', label: 'Pipeline Stage', type: 'stage', aliases: ['stage'] },
+    { field: 'probability', label: 'Probability', type: 'probability', aliases: ['probability %', 'win probability'] },
+    { field: 'expected_close_date', label: 'Expected Close Date', type: 'date', aliases: ['close date', 'expected close'] },
+    { field: 'competitors', label: 'Competitors', aliases: ['competitor'] },
+    { field: 'bd_notes', label: 'BD Notes', aliases: ['notes'] },
+    { field: 'next_actions', label: 'Next Actions', aliases: ['next action', 'next steps'] },
+    { field: 'loss_reason', label: 'Loss Reason' },
+    { field: 'loss_notes', label: 'Loss Notes' },
+    { field: 'bd_prof', label: 'BD Prof', aliases: ['bd professional', 'owner'] }
+  ]
+};
+
+const IMPORT_REQUIRED = {
+  opportunities: ['course_title', 'client_company'],
+  bd_opportunities: ['course_title', 'client']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// ==================================================
+// VALUES
+// ==================================================
+
+// 'In Progress' / 'in_progress' -> 'in-progress'
+function toKey(text) {
+  return String(text).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+// YYYY-MM-DD, or null when the parts are not a real date
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+function parseDate(text) {
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+  if (match) return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (match) {
+    const year = Number(match[3]) + (match[3].length === 2 ? 2000 : 0);
+    return toIsoDate(year, Number(match[2]), Number(match[1]));
+  }
+
+  match = text.match(/^(\d{1,2})[\s-]+([a-z]{3})[a-z]*\.?[\s-]+(\d{4})$/i);
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    return toIsoDate(Number(match[3]), MONTHS.indexOf(match[2].toLowerCase()) + 1, Number(match[1]));
+  }
+
+  match = text.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})$/i);
+  if (match && MONTHS.includes(match[1].toLowerCase())) {
+    return toIsoDate(Number(match[3]), MONTHS.indexOf(match[1].toLowerCase()) + 1, Number(match[2]));
+  }
+
+  return null;
+}
+
+// '50,000' / 'AED 50,000.00' -> 50000; null when it is not a number
+function parseNumber(text) {
+  const cleaned = text.replace(/^[^\d-]+/, '').replace(/[,\s]/g, '');
+  return /^-?\d+(\.\d+)?$/.test(cleaned) ? Number(cleaned) : null;
+}
+
+// One spreadsheet value converted for its field: { value } or { error }
+function normalizeValue(definition, raw, stages) {
+  const text = raw === null || raw === undefined ? '' : String(raw).trim();
+  if (!text) return { value: null };
+
+  switch (definition.type) {
+    case 'date': {
+      const value = parseDate(text);
+      return value ? { value } : { error: `${definition.label} "${text}" is not a date (use YYYY-MM-DD or DD/MM/YYYY)` };
+    }
+    case 'number': {
+      const value = parseNumber(text);
+      return value !== null && value >= 0 ? { value } : { error: `${definition.label} "${text}" is not a positive number` };
+    }
+    case 'probability': {
+      const value = parseNumber(text.replace(/%$/, ''));
+      return Number.isInteger(value) && value >= 0 && value <= 100
+        ? { value }
+        : { error: `${definition.label} "${text}" must be a whole number from 0 to 100` };
+    }
+    case 'email':
+      return EMAIL_PATTERN.test(text) ? { value: text } : { error: `${definition.label} "${text}" is not an email address` };
+    case 'choice': {
+      const key = Object.keys(definition.choices)
+        .find(choice => choice === toKey(text) || toKey(definition.choices[choice]) === toKey(text));
+      return key ? { value: key } : { error: `${definition.label} "${text}" must be one of: ${Object.values(definition.choices).join(', ')}` };
+    }
+    case 'stage': {
+      const stage = stages.find(item => item.key === toKey(text) || toKey(item.name) === toKey(text));
+      return stage ? { value: stage.key } : { error: `${definition.label} "${text}" must be one of: ${stages.map(item => item.name).join(', ')}` };
+    }
+    default:
+      return { value: text };
+  }
+}
+
+// ==================================================
+// ROWS
+// ==================================================
+
+// A mapped spreadsheet row ({ field: value }) as a record to save: { data, errors }.
+// Missing required fields and unreadable values are listed in errors.
+function normalizeImportRow(table, row, { stages = DEFAULT_PIPELINE_STAGES } = {}) {
+  const data = {};
+  const errors = [];
+
+  IMPORT_FIELDS[table].forEach(definition => {
+    if (!row || row[definition.field] === undefined) return;
+    const { value, error } = normalizeValue(definition, row[definition.field], stages);
+    if (error) errors.push(error);
+    else if (value !== null) data[definition.field] = value;
+  });
+
+  IMPORT_REQUIRED[table].forEach(field => {
+    if (!data[field]) {
+      const definition = IMPORT_FIELDS[table].find(item => item.field === field);
+      errors.push(`${definition.label} is required`);
+    }
+  });
+
+  return { data, errors };
+}
+
+// The fields a table can import, for the wizard's column mapping
+function describeImportFields(table) {
+  return IMPORT_FIELDS[table].map(({ field, label, aliases = [], choices }) => ({
+    field,
+    label,
+    aliases,
+    required: IMPORT_REQUIRED[table].includes(field),
+    ...(choices ? { choices: Object.values(choices) } : {})
+  }));
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  normalizeImportRow,
+  describeImportFields
+};
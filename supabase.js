@@ -113,6 +113,12 @@ const Auth = {
                 throw new Error('User profile not found');
             }
             
+            // Deactivated users keep their profile but may not sign in
+            if (profile.deactivated_at) {
+                await client.auth.signOut();
+                throw new Error('This account has been deactivated - contact an administrator');
+            }
+            
             // Store session in sessionStorage only
             sessionStorage.setItem('vifm_session', JSON.stringify({
                 user: data.user,
@@ -143,6 +149,7 @@ const Auth = {
         // Clear session data from sessionStorage only
         sessionStorage.removeItem('vifm_session');
         sessionStorage.removeItem('vifm_profile');
+        localStorage.removeItem(PERMISSIONS_STORAGE_KEY);
         // Clear any legacy localStorage items but don't wipe all localStorage
         localStorage.removeItem('vifm_session');
         localStorage.removeItem('vifm_profile');
@@ -365,6 +372,39 @@ const Auth = {
     }
 };
 
+// Audit trail - the record_audit trigger writes every insert, update and delete to
+// activity_log with a before/after diff; pages only read it
+const AuditLog = {
+    // History of one record, newest first
+    async history(entityType, entityId) {
+        const client = getSupabaseClient();
+        if (!client) throw new Error('Supabase client not available');
+        
+        const { data, error } = await client
+            .from('activity_log')
+            .select('*')
+            .eq('entity_type', entityType)
+            .eq('entity_id', entityId)
+            .order('created_at', { ascending: false });
+            
+        if (error) throw error;
+        return data || [];
+    },
+    
+    // Flatten an entry's changes into [{ field, from, to }] for display
+    getChanges(entry) {
+        const details = entry.details || {};
+        if (entry.action === 'stage_changed') {
+            return [{ field: entry.entity_type === 'opportunities' ? 'status' : 'pipeline_stage', from: details.from, to: details.to }];
+        }
+        return Object.entries(details.changes || {}).map(([field, change]) => ({
+            field,
+            from: change.from,
+            to: change.to
+        }));
+    }
+};
+
 // Database functions
 const Database = {
     // Generic select function
@@ -374,9 +414,10 @@ const Database = {
         
         let query = client.from(table).select(options.select || '*');
         
+        // Array values match any of the values
         if (options.filter) {
             Object.entries(options.filter).forEach(([key, value]) => {
-                query = query.eq(key, value);
+                query = Array.isArray(value) ? query.in(key, value) : query.eq(key, value);
             });
         }
         
@@ -488,8 +529,8 @@ const RouteGuard = {
         return true;
     },
     
-    // Check if user has required role
-    async requireRole(requiredRole) {
+    // Check if the user's role has a permission (see Permissions)
+    async requirePermission(permission) {
         const { user, profile } = await Auth.getCurrentUser();
         if (!user) {
             window.location.href = '/login.html';
@@ -502,7 +543,8 @@ const RouteGuard = {
             return false;
         }
         
-        if (profile.role !== requiredRole && profile.role !== 'admin') {
+        await Permissions.load(profile.role);
+        if (!Permissions.has(permission)) {
             window.location.href = '/vifm-main-menu.html';
             return false;
         }
@@ -525,6 +567,352 @@ const RouteGuard = {
     }
 };
 
+// Roles and permissions, managed by admins in User Management (roles and
+// role_permissions tables). The server and the RLS policies enforce them; pages read them
+// to build navigation and hide actions the user cannot take. The defaults match the
+// server's (permissions.js).
+const DEFAULT_ROLES = [
+    { key: 'consultant', name: 'Consultant' },
+    { key: 'bd', name: 'BD Professional' },
+    { key: 'bd_only', name: 'BD Only' },
+    { key: 'admin', name: 'Administrator' }
+];
+const DEFAULT_BD_PERMISSIONS = [
+    'opportunities.read', 'opportunities.read_all', 'bd.read', 'bd.write', 'reports.view', 'clients.manage', 'tasks.read_all'
+];
+const DEFAULT_ROLE_PERMISSIONS = {
+    consultant: ['opportunities.read', 'opportunities.write', 'calendar.view'],
+    bd: [...DEFAULT_BD_PERMISSIONS, 'calendar.view'],
+    bd_only: DEFAULT_BD_PERMISSIONS,
+    admin: [
+        ...DEFAULT_BD_PERMISSIONS, 'opportunities.write', 'clients.delete', 'tasks.delete_all', 'calendar.view',
+        'audit.read_all', 'users.manage', 'settings.manage'
+    ]
+};
+const PERMISSIONS_STORAGE_KEY = 'vifm_permissions';
+
+const Permissions = {
+    role: null,
+    granted: new Set(),
+    roles: DEFAULT_ROLES,
+    loading: null, // promise of the load in progress, so pages and guards share one
+    
+    // Load the permissions of a role (the signed-in user's). Falls back to the last
+    // loaded copy (so pages work offline), then to the built-in defaults.
+    load(role) {
+        if (this.loading && this.role === role) return this.loading;
+        this.role = role;
+        
+        this.loading = (async () => {
+            try {
+                const data = await Database.select('role_permissions', { filter: { role } });
+                this.granted = new Set((data || []).map(row => row.permission));
+                localStorage.setItem(PERMISSIONS_STORAGE_KEY, JSON.stringify({ role, permissions: [...this.granted] }));
+                return this.granted;
+            } catch (error) {
+                console.warn('⚠️ Could not load permissions:', error.message);
+            }
+            
+            try {
+                const saved = JSON.parse(localStorage.getItem(PERMISSIONS_STORAGE_KEY) || 'null');
+                this.granted = new Set(saved?.role === role ? saved.permissions : DEFAULT_ROLE_PERMISSIONS[role] || []);
+            } catch (error) {
+                this.granted = new Set(DEFAULT_ROLE_PERMISSIONS[role] || []);
+            }
+            return this.granted;
+        })();
+        return this.loading;
+    },
+    
+    has(permission) {
+        return this.granted.has(permission);
+    },
+    
+    // Hide elements marked data-permission="..." that the user's role does not allow
+    apply(root = document) {
+        if (root === document && document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.apply());
+            return;
+        }
+        root.querySelectorAll('[data-permission]').forEach(element => {
+            if (!this.has(element.dataset.permission)) element.style.display = 'none';
+        });
+    },
+    
+    // Every role with its display name, for role pickers and badges
+    async loadRoles() {
+        try {
+            const data = await Database.select('roles', { orderBy: { column: 'name', ascending: true } });
+            if (data && data.length > 0) this.roles = data;
+        } catch (error) {
+            console.warn('⚠️ Could not load roles:', error.message);
+        }
+        return this.roles;
+    },
+    
+    getRoleName(key) {
+        return this.roles.find(role => role.key === key)?.name || key || '';
+    }
+};
+
+// Teams (teams table, profiles.team_id), managed in User Management. A manager sees the
+// consultant opportunities of their team's members as well as their own; the server
+// and the RLS policies enforce it.
+const Teams = {
+    // Auth user ids of the members of the teams a user manages (empty for non-managers)
+    async getMemberIds(userId) {
+        try {
+            const teams = await Database.select('teams', { select: 'id', filter: { manager_id: userId } });
+            if (!teams || teams.length === 0) return [];
+            
+            const members = await Database.select('profiles', {
+                select: 'user_id',
+                filter: { team_id: teams.map(team => team.id) }
+            });
+            return (members || []).map(member => member.user_id).filter(id => id && id !== userId);
+        } catch (error) {
+            console.warn('⚠️ Could not load team members:', error.message);
+            return [];
+        }
+    }
+};
+
+// Pipeline stages for BD opportunities, configured by admins (pipeline_stages table).
+// state is 'open', 'won', 'lost' or 'closed' (closed without an outcome).
+// allowed_next_stages (null = any) and required_fields are the stage's transition rules.
+// The defaults, field labels and rule checks come from pipeline-stages.js, which the
+// server uses too - pages load it before this file.
+const StageRules = window.VIFMPipelineStages;
+const PIPELINE_STAGES_STORAGE_KEY = 'vifm_pipeline_stages';
+
+const PipelineStages = {
+    stages: StageRules.DEFAULT_PIPELINE_STAGES,
+    
+    // Fields a stage can require, with their labels
+    REQUIRABLE_FIELDS: StageRules.STAGE_REQUIRABLE_FIELDS,
+    
+    // Load the stages from the database. Falls back to the last loaded copy (so the
+    // BD module works offline), then to the built-in defaults.
+    async load() {
+        try {
+            const data = await Database.select('pipeline_stages', {
+                orderBy: { column: 'sort_order', ascending: true }
+            });
+            if (data && data.length > 0) {
+                this.stages = data;
+                localStorage.setItem(PIPELINE_STAGES_STORAGE_KEY, JSON.stringify(data));
+                return this.stages;
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load pipeline stages:', error.message);
+        }
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(PIPELINE_STAGES_STORAGE_KEY) || 'null');
+            this.stages = Array.isArray(saved) && saved.length > 0 ? saved : StageRules.DEFAULT_PIPELINE_STAGES;
+        } catch (error) {
+            this.stages = StageRules.DEFAULT_PIPELINE_STAGES;
+        }
+        return this.stages;
+    },
+    
+    all() {
+        return this.stages;
+    },
+    
+    get(key) {
+        return this.stages.find(stage => stage.key === key) || null;
+    },
+    
+    // Display name; unknown keys (e.g. a stage since removed) are shown as stored
+    getName(key) {
+        return this.get(key)?.name || key || '';
+    },
+    
+    getColor(key) {
+        return this.get(key)?.color || '#64748b';
+    },
+    
+    getDefaultProbability(key) {
+        const stage = this.get(key);
+        return stage ? stage.default_probability : 25;
+    },
+    
+    isOpen(key) {
+        return this.get(key)?.state === 'open';
+    },
+    
+    // First stage in sort order - where new opportunities start
+    getInitialKey() {
+        return this.stages[0]?.key || 'qualified';
+    },
+    
+    canMove(fromKey, toKey) {
+        const from = this.get(fromKey);
+        return !from || fromKey === toKey || !Array.isArray(from.allowed_next_stages) || from.allowed_next_stages.includes(toKey);
+    },
+    
+    // Fields the record still needs before it can be saved in its stage
+    getMissingFields(record) {
+        const stage = this.get(record.pipeline_stage);
+        return (stage?.required_fields || [])
+            .filter(field => record[field] === null || record[field] === undefined || record[field].toString().trim() === '');
+    },
+    
+    // Check a save against the stage rules (getStageRuleErrors in pipeline-stages.js).
+    // previous is the stored record (null when creating), changes the fields being written.
+    getRuleErrors(previous, changes) {
+        return StageRules.getStageRuleErrors(this.stages, previous, changes);
+    },
+    
+    // Stays in each stage for an opportunity, oldest first: [{ stage, entered_at, left_at }]
+    async history(opportunityId) {
+        return Database.select('bd_stage_durations', {
+            filter: { opportunity_id: opportunityId },
+            orderBy: { column: 'entered_at', ascending: true }
+        });
+    }
+};
+
+// Lookup lists managed in User Management (loss_reasons, competitors). Entries are
+// { id, name, active, ... }; inactive ones stay on old records but are not offered.
+const Catalogs = {
+    items: {},
+    
+    // Load a catalog, falling back to the last loaded copy when offline
+    async load(table) {
+        const storageKey = `vifm_catalog_${table}`;
+        try {
+            const data = await Database.select(table, {
+                orderBy: { column: table === 'loss_reasons' ? 'sort_order' : 'name', ascending: true }
+            });
+            this.items[table] = data || [];
+            localStorage.setItem(storageKey, JSON.stringify(this.items[table]));
+        } catch (error) {
+            console.warn(`⚠️ Could not load ${table}:`, error.message);
+            try {
+                this.items[table] = JSON.parse(localStorage.getItem(storageKey) || '[]');
+            } catch (parseError) {
+                this.items[table] = [];
+            }
+        }
+        return this.items[table];
+    },
+    
+    all(table) {
+        return this.items[table] || [];
+    },
+    
+    active(table) {
+        return this.all(table).filter(item => item.active !== false);
+    },
+    
+    get(table, id) {
+        return this.all(table).find(item => item.id === id) || null;
+    },
+    
+    findByName(table, name) {
+        const wanted = (name || '').trim().toLowerCase();
+        return this.all(table).find(item => item.name.toLowerCase() === wanted) || null;
+    },
+    
+    // Add an entry and keep the cached list up to date
+    async add(table, data) {
+        const item = await Database.insert(table, data);
+        this.items[table] = [...this.all(table), item];
+        localStorage.setItem(`vifm_catalog_${table}`, JSON.stringify(this.items[table]));
+        return item;
+    },
+
+    async update(table, id, data) {
+        const item = await Database.update(table, id, data);
+        this.items[table] = this.all(table).map(existing => existing.id === id ? item : existing);
+        localStorage.setItem(`vifm_catalog_${table}`, JSON.stringify(this.items[table]));
+        return item;
+    }
+};
+
+// Consultant opportunity -> BD opportunity field mapping, used to fill in the BD form
+// when an opportunity is imported. The server converts with the same mapping (conversion.js).
+const Conversion = {
+    FIELDS: {
+        course_title: 'course_title',
+        client_company: 'client',
+        client_id: 'client_id',
+        contact_id: 'contact_id',
+        city: 'city',
+        consultant_name: 'consultant_name',
+        delegate_name: 'primary_contact',
+        delegate_title: 'contact_title',
+        delegate_email: 'contact_email',
+        phone_number: 'contact_phone',
+        discussion_notes: 'bd_notes',
+        bd_action: 'next_actions'
+    },
+    
+    // The BD opportunity fields taken from a consultant opportunity (blank values are left out)
+    toBDOpportunity(source) {
+        const bdOpportunity = { source_opportunity_id: source.id };
+        Object.entries(this.FIELDS).forEach(([from, to]) => {
+            const value = source[from];
+            if (value !== undefined && value !== null && value !== '') {
+                bdOpportunity[to] = value;
+            }
+        });
+        return bdOpportunity;
+    },
+    
+    isConverted(opportunity) {
+        return Boolean(opportunity?.bd_opportunity_id);
+    }
+};
+
+// Realtime subscriptions - row changes pushed by Supabase as they happen
+const Realtime = {
+    liveChannels: new Set(),
+    
+    // Call callback(payload) for every insert, update and delete on a table.
+    // payload: { eventType: 'INSERT' | 'UPDATE' | 'DELETE', new, old }. Returns an unsubscribe function.
+    subscribe(table, callback) {
+        const client = getSupabaseClient();
+        if (!client) {
+            console.warn('[Realtime] Supabase client not available - no live updates for', table);
+            return () => {};
+        }
+        
+        const channel = client
+            .channel(`vifm-${table}-${Date.now()}`)
+            .on('postgres_changes', { event: '*', schema: 'public', table }, payload => {
+                try {
+                    callback(payload);
+                } catch (error) {
+                    console.error('[Realtime] Listener error for', table, error);
+                }
+            })
+            .subscribe(status => {
+                if (status === 'SUBSCRIBED') {
+                    console.log('📡 Live updates active for', table);
+                    this.liveChannels.add(channel);
+                    ConnectionStatus.updateStatus('connected', 'Live updates active');
+                } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+                    this.liveChannels.delete(channel);
+                    if (status !== 'CLOSED') {
+                        ConnectionStatus.updateStatus('disconnected', 'Live updates interrupted');
+                    }
+                }
+            });
+            
+        return () => {
+            this.liveChannels.delete(channel);
+            client.removeChannel(channel);
+        };
+    },
+    
+    isLive() {
+        return this.liveChannels.size > 0;
+    }
+};
+
 // Connection status management
 const ConnectionStatus = {
     status: 'disconnected',
@@ -544,6 +932,9 @@ const ConnectionStatus = {
     // Check connection periodically
     async startMonitoring() {
         const checkConnection = async () => {
+            // A live realtime channel already reports connection changes
+            if (Realtime.isLive()) return;
+            
             try {
                 const result = await Database.testConnection();
                 this.updateStatus(result.success ? 'connected' : 'disconnected', result.message);
@@ -573,6 +964,13 @@ if (document.readyState === 'loading') {
 window.VIFMSupabase = {
     Auth,
     Database,
+    AuditLog,
+    Permissions,
+    Teams,
+    PipelineStages,
+    Catalogs,
+    Conversion,
+    Realtime,
     RouteGuard,
     ConnectionStatus,
     getSupabaseClient,
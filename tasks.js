@@ -0,0 +1,257 @@
+/**
+ * VIFM Tasks
+ * Follow-up tasks on opportunities: what needs doing, who does it and by when. The
+ * opportunity tables show each row's open tasks on a Tasks button (red when one is
+ * overdue) that opens the opportunity's task list, where tasks are added, completed
+ * and removed. The dashboard's My Tasks panel lists the open tasks assigned to the
+ * signed-in user. The server emails assignees when their tasks fall due.
+ *
+ * Requires supabase.js. Pages that open task lists provide the modal: an element with
+ * id "taskModal" (class "modal") containing one with id "taskContent". Set onChange to
+ * redraw the page after a task changes.
+ */
+
+window.VIFMTasks = {
+    openTasks: [], // open tasks the user can see, for the table buttons
+    assignees: null,
+    current: null, // { entityType, entityId, label, tasks } of the open task list
+    onChange: null,
+
+    // ==================================================
+    // DATA
+    // ==================================================
+
+    async loadOpen() {
+        try {
+            this.openTasks = await window.VIFMSupabase.Database.select('tasks', {
+                filter: { status: 'open' },
+                orderBy: { column: 'due_date', ascending: true }
+            }) || [];
+        } catch (error) {
+            console.warn('⚠️ Could not load tasks:', error.message);
+            this.openTasks = [];
+        }
+        return this.openTasks;
+    },
+
+    // Open tasks assigned to the signed-in user, soonest first (no due date last)
+    async loadMine() {
+        const session = await window.VIFMSupabase.Auth.getSession();
+        if (!session?.user) return [];
+
+        return window.VIFMSupabase.Database.select('tasks', {
+            filter: { assigned_to: session.user.id, status: 'open' },
+            orderBy: { column: 'due_date', ascending: true }
+        });
+    },
+
+    // Everyone a task can be assigned to: [{ id, name, role }]
+    async loadAssignees() {
+        if (this.assignees) return this.assignees;
+
+        const session = await window.VIFMSupabase.Auth.getSession();
+        if (!session?.access_token) throw new Error('Session expired - please sign in again');
+
+        const response = await fetch('/api/users/assignees', {
+            headers: { 'Authorization': `Bearer ${session.access_token}` }
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(body.error || `Request failed (${response.status})`);
+
+        this.assignees = body.data || [];
+        return this.assignees;
+    },
+
+    async setStatus(task, status) {
+        const saved = await window.VIFMSupabase.Database.update('tasks', task.id, { status });
+        this.openTasks = this.openTasks.filter(open => open.id !== task.id);
+        if (saved.status === 'open') this.openTasks.push(saved);
+        return saved;
+    },
+
+    // ==================================================
+    // DUE DATES
+    // ==================================================
+
+    // Today in the user's time zone, as YYYY-MM-DD
+    today() {
+        const now = new Date();
+        return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+    },
+
+    isOverdue(task) {
+        return task.status === 'open' && Boolean(task.due_date) && task.due_date < this.today();
+    },
+
+    // Open tasks of one opportunity: { count, overdue }
+    summary(entityType, entityId) {
+        const tasks = this.openTasks.filter(task => task.entity_type === entityType && task.entity_id === entityId);
+        return { count: tasks.length, overdue: tasks.filter(task => this.isOverdue(task)).length };
+    },
+
+    hasOverdue(entityType, entityId) {
+        return this.summary(entityType, entityId).overdue > 0;
+    },
+
+    formatDue(task) {
+        if (!task.due_date) return 'No due date';
+        const label = new Date(task.due_date + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        if (this.isOverdue(task)) return `${label} (overdue)`;
+        return task.due_date === this.today() ? `${label} (today)` : label;
+    },
+
+    // ==================================================
+    // TASK LIST MODAL
+    // ==================================================
+
+    // Tasks button for a table row; label names the opportunity in lists and emails
+    renderButton(entityType, entityId, label) {
+        const { count, overdue } = this.summary(entityType, entityId);
+        const title = overdue > 0 ? `${overdue} overdue task(s)` : `${count} open task(s)`;
+        return `<button type="button" class="btn-tasks${overdue > 0 ? ' overdue' : ''}" title="${title}"
+            data-label="${this.escape(label)}"
+            onclick="VIFMTasks.open('${entityType}', '${entityId}', this.dataset.label)">📋 ${count || ''}</button>`;
+    },
+
+    async open(entityType, entityId, label) {
+        this.current = { entityType, entityId, label, tasks: [] };
+        document.getElementById('taskContent').innerHTML = '<p>Loading tasks...</p>';
+        document.getElementById('taskModal').classList.add('show');
+
+        try {
+            const [tasks] = await Promise.all([
+                window.VIFMSupabase.Database.select('tasks', {
+                    filter: { entity_type: entityType, entity_id: entityId },
+                    orderBy: { column: 'created_at', ascending: true }
+                }),
+                this.loadAssignees()
+            ]);
+            this.current.tasks = tasks || [];
+            await this.render();
+        } catch (error) {
+            console.error('❌ Error loading tasks:', error);
+            document.getElementById('taskContent').innerHTML = `<p class="no-data">Could not load tasks: ${this.escape(error.message)}</p>`;
+        }
+    },
+
+    close() {
+        document.getElementById('taskModal').classList.remove('show');
+        this.current = null;
+    },
+
+    async render() {
+        const { user } = await window.VIFMSupabase.Auth.getCurrentUser();
+        const tasks = [...this.current.tasks].sort((a, b) =>
+            (a.status === 'open' ? 0 : 1) - (b.status === 'open' ? 0 : 1) ||
+            (a.due_date || '9999').localeCompare(b.due_date || '9999'));
+
+        document.getElementById('taskContent').innerHTML = `
+            <p class="task-label">${this.escape(this.current.label)}</p>
+            ${tasks.length === 0 ? '<p class="no-data">No tasks yet.</p>' : tasks.map(task => `
+                <div class="task-entry${this.isOverdue(task) ? ' overdue' : ''}${task.status !== 'open' ? ' closed' : ''}">
+                    <div class="task-main">
+                        <strong>${this.escape(task.title)}</strong>
+                        <div class="task-details">
+                            ${this.escape(this.formatDue(task))} · ${this.escape(task.assigned_name || 'Unassigned')}
+                            ${task.status !== 'open' ? ` · ${task.status}` : ''}
+                        </div>
+                        ${task.notes ? `<div class="task-notes">${this.escape(task.notes)}</div>` : ''}
+                    </div>
+                    <div class="task-actions">
+                        ${task.status === 'open'
+                            ? `<button type="button" class="btn btn-success" onclick="VIFMTasks.changeStatus('${task.id}', 'done')">Done</button>`
+                            : `<button type="button" class="btn btn-secondary" onclick="VIFMTasks.changeStatus('${task.id}', 'open')">Reopen</button>`}
+                        ${task.created_by === user?.id ? `<button type="button" class="btn btn-danger" onclick="VIFMTasks.remove('${task.id}')">Delete</button>` : ''}
+                    </div>
+                </div>
+            `).join('')}
+            <div class="task-form">
+                <input type="text" id="taskTitle" placeholder="What needs doing?" maxlength="200">
+                <input type="date" id="taskDueDate">
+                <select id="taskAssignee">
+                    ${(this.assignees || []).map(assignee => `
+                        <option value="${assignee.id}" ${assignee.id === user?.id ? 'selected' : ''}>${this.escape(assignee.name)}</option>
+                    `).join('')}
+                </select>
+                <textarea id="taskNotes" rows="2" placeholder="Notes (optional)"></textarea>
+                <button type="button" class="btn btn-primary" id="taskAddBtn" onclick="VIFMTasks.add()">Add Task</button>
+            </div>
+        `;
+    },
+
+    async add() {
+        const title = document.getElementById('taskTitle').value.trim();
+        const assignedTo = document.getElementById('taskAssignee').value;
+        if (!title || !assignedTo) {
+            alert('Enter the task and who it is for');
+            return;
+        }
+
+        const button = document.getElementById('taskAddBtn');
+        button.disabled = true;
+
+        try {
+            const { profile } = await window.VIFMSupabase.Auth.getCurrentUser();
+            const assignee = this.assignees.find(person => person.id === assignedTo);
+            const task = await window.VIFMSupabase.Database.insert('tasks', {
+                entity_type: this.current.entityType,
+                entity_id: this.current.entityId,
+                entity_label: this.current.label,
+                title,
+                notes: document.getElementById('taskNotes').value.trim() || null,
+                due_date: document.getElementById('taskDueDate').value || null,
+                assigned_to: assignedTo,
+                assigned_name: assignee?.name || null,
+                created_by_name: profile?.full_name || null
+            });
+
+            this.current.tasks.push(task);
+            this.openTasks.push(task);
+            await this.render();
+            this.onChange?.();
+        } catch (error) {
+            console.error('❌ Error adding task:', error);
+            alert('Could not add the task: ' + error.message);
+            button.disabled = false;
+        }
+    },
+
+    async changeStatus(id, status) {
+        const task = this.current.tasks.find(item => item.id === id);
+        if (!task) return;
+
+        try {
+            const saved = await this.setStatus(task, status);
+            this.current.tasks = this.current.tasks.map(item => item.id === id ? saved : item);
+            await this.render();
+            this.onChange?.();
+        } catch (error) {
+            console.error('❌ Error updating task:', error);
+            alert('Could not update the task: ' + error.message);
+        }
+    },
+
+    async remove(id) {
+        if (!confirm('Delete this task?')) return;
+
+        try {
+            await window.VIFMSupabase.Database.delete('tasks', id);
+            this.current.tasks = this.current.tasks.filter(task => task.id !== id);
+            this.openTasks = this.openTasks.filter(task => task.id !== id);
+            await this.render();
+            this.onChange?.();
+        } catch (error) {
+            console.error('❌ Error deleting task:', error);
+            alert('Could not delete the task: ' + error.message);
+        }
+    },
+
+    // Escape for element content and attribute values
+    escape(text) {
+        return (text || '').toString()
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
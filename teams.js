@@ -0,0 +1,146 @@
+/**
+ * VIFM Portal - Teams and Scopes
+ * Teams group users under a manager (teams table, profiles.team_id); a manager sees the
+ * consultant opportunities of their team's members as well as their own. A user's scope
+ * (profiles.scope_cities / scope_client_ids) limits other people's opportunities to
+ * those cities or clients - a BD user's region or client portfolio. The RLS policies
+ * apply the same rules with manages_user() and in_user_scope(); the REST API applies
+ * them in scopeRows().
+ *
+ * Also totals opportunities and the BD pipeline by team for the dashboard
+ * (GET /api/reports/teams).
+ */
+
+const { DEFAULT_PIPELINE_STAGES, findStage } = require('./pipeline-stages');
+
+const TEAM_CACHE_TTL_MS = 60 * 1000;
+const OPPORTUNITY_STATUSES = ['new', 'in-progress', 'complete', 'draft'];
+const NO_TEAM = { id: null, name: 'No team', manager_id: null };
+
+const memberCache = new Map(); // manager's user id -> { ids, loadedAt }
+
+// ==================================================
+// VISIBILITY
+// ==================================================
+
+// Auth user ids of the members of the teams a user manages - empty for users who manage
+// no team, or when teams cannot be read (e.g. before the migration has been run).
+// Cached for a minute.
+async function getTeamMemberIds(client, managerId, { force = false } = {}) {
+  const cached = memberCache.get(managerId);
+  if (!force && cached && Date.now() - cached.loadedAt < TEAM_CACHE_TTL_MS) {
+    return cached.ids;
+  }
+
+  let ids = [];
+  const { data: teams, error } = await client
+    .from('teams')
+    .select('id')
+    .eq('manager_id', managerId);
+
+  if (error) {
+    console.warn('⚠️ Could not load teams:', error.message);
+  } else if (teams.length > 0) {
+    const { data: members, error: memberError } = await client
+      .from('profiles')
+      .select('user_id')
+      .in('team_id', teams.map(team => team.id));
+
+    if (memberError) {
+      console.warn('⚠️ Could not load team members:', memberError.message);
+    } else {
+      ids = members.map(member => member.user_id).filter(id => id && id !== managerId);
+    }
+  }
+
+  memberCache.set(managerId, { ids, loadedAt: Date.now() });
+  return ids;
+}
+
+// A profile's scope as { cities, clientIds }, or null when it has none
+function getUserScope(profile) {
+  const cities = (profile?.scope_cities || []).map(city => String(city).trim()).filter(Boolean);
+  const clientIds = (profile?.scope_client_ids || []).filter(Boolean);
+  return cities.length > 0 || clientIds.length > 0 ? { cities, clientIds } : null;
+}
+
+// PostgREST conditions matching rows within a scope, for query.or(). Cities match
+// ignoring case.
+function getScopeConditions(scope, { cityColumn = 'city', clientColumn = 'client_id' } = {}) {
+  // LIKE wildcards are matched literally; quotes keep commas and brackets in names
+  const quote = value => `"${value.replace(/[%_\\]/g, '\\$&').replace(/["\\]/g, '\\$&')}"`;
+  return [
+    ...scope.cities.map(city => `${cityColumn}.ilike.${quote(city)}`),
+    ...(scope.clientIds.length > 0 ? [`${clientColumn}.in.(${scope.clientIds.join(',')})`] : [])
+  ];
+}
+
+// ==================================================
+// TEAM SUMMARY
+// ==================================================
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Opportunities and BD pipeline totalled by team. A consultant opportunity counts for
+// its creator's team; a BD opportunity for the team of the consultant opportunity it was
+// converted from, otherwise of its creator. Rows of users without a team are totalled
+// under "No team", which is left out when empty.
+//   profiles         [{ user_id, full_name, team_id }]
+//   bdOpportunities  null when the caller cannot see the BD pipeline (bd is then null)
+// Each team: { id, name, manager_id, manager_name, members, opportunities: { total,
+// new, in-progress, complete, draft, converted }, bd: { count, pipeline, weighted, won } }
+function buildTeamSummary({ teams = [], profiles = [], opportunities = [], bdOpportunities = null }, { stages = DEFAULT_PIPELINE_STAGES } = {}) {
+  const teamOfUser = new Map(profiles.map(profile => [profile.user_id, profile.team_id || null]));
+  const nameOfUser = new Map(profiles.map(profile => [profile.user_id, profile.full_name]));
+  const creatorOfOpportunity = new Map(opportunities.map(opp => [opp.id, opp.created_by]));
+
+  const summaries = new Map([...teams, NO_TEAM].map(team => [team.id, {
+    id: team.id,
+    name: team.name,
+    manager_id: team.manager_id,
+    manager_name: team.manager_id ? nameOfUser.get(team.manager_id) || null : null,
+    members: profiles.filter(profile => (profile.team_id || null) === team.id).length,
+    opportunities: { total: 0, ...Object.fromEntries(OPPORTUNITY_STATUSES.map(status => [status, 0])), converted: 0 },
+    bd: bdOpportunities ? { count: 0, pipeline: 0, weighted: 0, won: 0 } : null
+  }]));
+  // Rows of users in a team the caller cannot see are counted under "No team"
+  const summaryFor = userId => summaries.get(teamOfUser.get(userId) || null) || summaries.get(null);
+
+  opportunities.forEach(opp => {
+    const totals = summaryFor(opp.created_by).opportunities;
+    totals.total++;
+    if (OPPORTUNITY_STATUSES.includes(opp.status)) totals[opp.status]++;
+    if (opp.bd_opportunity_id) totals.converted++;
+  });
+
+  (bdOpportunities || []).forEach(opp => {
+    const totals = summaryFor(creatorOfOpportunity.get(opp.source_opportunity_id) || opp.created_by).bd;
+    const budget = Number(opp.estimated_budget) || 0;
+    const probability = Math.min(Math.max(Number(opp.probability) || 0, 0), 100) / 100;
+    const state = findStage(stages, opp.pipeline_stage)?.state;
+
+    totals.count++;
+    if (state === 'open') {
+      totals.pipeline += budget;
+      totals.weighted += budget * probability;
+    } else if (state === 'won') {
+      totals.won += budget;
+    }
+  });
+
+  return [...summaries.values()]
+    .filter(summary => summary.id !== null || summary.members > 0 || summary.opportunities.total > 0 || summary.bd?.count > 0)
+    .map(summary => summary.bd
+      ? { ...summary, bd: { ...summary.bd, pipeline: roundAmount(summary.bd.pipeline), weighted: roundAmount(summary.bd.weighted), won: roundAmount(summary.bd.won) } }
+      : summary)
+    .sort((a, b) => (a.id === null) - (b.id === null) || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  getTeamMemberIds,
+  getUserScope,
+  getScopeConditions,
+  buildTeamSummary
+};
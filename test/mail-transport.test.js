@@ -0,0 +1,43 @@
+/**
+ * The file mail transport writes each message as an .eml file, so notifications can be
+ * checked without a mail server. Run with npm test.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMailTransport } = require('../mail-transport');
+
+test('file transport writes the message as an .eml file', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vifm-mail-'));
+  process.env.MAIL_FILE_DIR = directory;
+
+  try {
+    const transport = createMailTransport('file');
+    const result = await transport.send({
+      to: ['first@example.com', 'second@example.com'],
+      subject: 'Stage Changed: Acme - Excel Modelling',
+      html: '<p>Moved to <strong>Proposal</strong></p>',
+      text: 'Moved to Proposal'
+    });
+
+    assert.strictEqual(result.transport, 'file');
+    assert.deepStrictEqual(fs.readdirSync(directory), [path.basename(result.path)]);
+    assert.match(result.path, /\.eml$/);
+
+    const message = fs.readFileSync(result.path, 'utf8');
+    assert.match(message, /^To: first@example\.com, second@example\.com$/m);
+    assert.match(message, /^Subject: Stage Changed: Acme - Excel Modelling$/m);
+    assert.match(message, /^From: .+$/m);
+    assert.match(message, /Content-Type: text\/plain/);
+    assert.match(message, /Moved to Proposal/);
+    assert.match(message, /Content-Type: text\/html/);
+    assert.match(message, /<strong>Proposal<\/strong>/);
+  } finally {
+    delete process.env.MAIL_FILE_DIR;
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,104 @@
+/**
+ * VIFM Portal - Win/Loss Analysis
+ * Summarises closed BD opportunities: win rate by course, client, city, competitor and
+ * BD professional, and why deals were lost. Used by GET /api/reports/win-loss.
+ *
+ * Only deals in a won or lost stage count (stages closed without an outcome are left
+ * out). win_rate is won / (won + lost) as a percentage. A deal counts once for every
+ * competitor linked to it.
+ */
+
+const { DEFAULT_PIPELINE_STAGES, findStage } = require('./pipeline-stages');
+
+const WIN_LOSS_DIMENSIONS = {
+  by_course: { label: 'Course', field: 'course_title' },
+  by_client: { label: 'Client', field: 'client' },
+  by_city: { label: 'City', field: 'city' },
+  by_competitor: { label: 'Competitor', field: 'competitor_ids' },
+  by_bd_prof: { label: 'BD Professional', field: 'bd_prof' }
+};
+const NO_COMPETITOR = 'No competitor recorded';
+const NO_REASON = 'No reason recorded';
+
+function emptyResults() {
+  return { closed_count: 0, won_count: 0, lost_count: 0, won_value: 0, lost_value: 0 };
+}
+
+function addResult(results, opportunity) {
+  const budget = Number(opportunity.estimated_budget) || 0;
+  results.closed_count++;
+  if (opportunity.outcome === 'won') {
+    results.won_count++;
+    results.won_value += budget;
+  } else {
+    results.lost_count++;
+    results.lost_value += budget;
+  }
+}
+
+function finishResults(results) {
+  results.won_value = Math.round(results.won_value * 100) / 100;
+  results.lost_value = Math.round(results.lost_value * 100) / 100;
+  results.win_rate = results.closed_count > 0 ? Math.round((results.won_count / results.closed_count) * 1000) / 10 : null;
+  return results;
+}
+
+// Group closed deals by one or more keys per deal; biggest groups first
+function groupResults(opportunities, getKeys) {
+  const groups = new Map();
+
+  opportunities.forEach(opportunity => {
+    getKeys(opportunity).forEach(key => {
+      if (!groups.has(key)) {
+        groups.set(key, emptyResults());
+      }
+      addResult(groups.get(key), opportunity);
+    });
+  });
+
+  return [...groups.entries()]
+    .map(([key, results]) => ({ key, label: key, ...finishResults(results) }))
+    .sort((a, b) => b.closed_count - a.closed_count || (b.win_rate || 0) - (a.win_rate || 0) || a.label.localeCompare(b.label));
+}
+
+// opportunities: closed BD opportunities; competitors: the competitor catalog ({ id, name })
+function buildWinLoss(opportunities, { stages = DEFAULT_PIPELINE_STAGES, competitors = [] } = {}) {
+  const competitorNames = new Map(competitors.map(competitor => [competitor.id, competitor.name]));
+
+  const closed = (opportunities || [])
+    .map(opportunity => ({ ...opportunity, outcome: findStage(stages, opportunity.pipeline_stage)?.state }))
+    .filter(opportunity => opportunity.outcome === 'won' || opportunity.outcome === 'lost');
+
+  const totals = emptyResults();
+  closed.forEach(opportunity => addResult(totals, opportunity));
+
+  const analysis = { totals: finishResults(totals) };
+  Object.entries(WIN_LOSS_DIMENSIONS).forEach(([group, { field }]) => {
+    analysis[group] = field === 'competitor_ids'
+      ? groupResults(closed, opportunity => {
+        const names = (opportunity.competitor_ids || []).map(id => competitorNames.get(id)).filter(Boolean);
+        return names.length > 0 ? [...new Set(names)] : [NO_COMPETITOR];
+      })
+      : groupResults(closed, opportunity => [(opportunity[field] || '').toString().trim() || 'Unknown']);
+  });
+
+  // Why deals were lost, most common first
+  const reasons = new Map();
+  closed.filter(opportunity => opportunity.outcome === 'lost').forEach(opportunity => {
+    const reason = opportunity.loss_reason || NO_REASON;
+    const entry = reasons.get(reason) || { key: reason, label: reason, count: 0, value: 0 };
+    entry.count++;
+    entry.value += Number(opportunity.estimated_budget) || 0;
+    reasons.set(reason, entry);
+  });
+  analysis.loss_reasons = [...reasons.values()]
+    .map(entry => ({ ...entry, value: Math.round(entry.value * 100) / 100 }))
+    .sort((a, b) => b.count - a.count || b.value - a.value);
+
+  return analysis;
+}
+
+module.exports = {
+  WIN_LOSS_DIMENSIONS,
+  buildWinLoss
+};